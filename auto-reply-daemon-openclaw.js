@@ -6,143 +6,89 @@
  * This daemon integrates with OpenClaw's configuration system.
  * It reads Nostr settings from openclaw.json (channels.nost section)
  * and environment variables, enabling full integration with the
- * OpenClaw web dashboard.
+ * OpenClaw web dashboard. Start it directly or with `node nostr-claw.js daemon`.
  *
  * Commands supported:
  * - 🦀status → Run openclaw gateway status
  * - 🦀current task → Get summary of current task via subagent
  * - 🦀new session → Start new chat session (/new)
+ * - 🦀sessions → List the sender's agent sessions
+ * - 🦀switch <key> → Rebind the sender to another agent session
+ * - 🦀pair → Approve/reject pairing requests (dmPolicy: pairing)
  * - 🦀restart → Restart OpenClaw gateway
  * - 🦀relays → Check relay health and status
  * - 🦀help → Show available commands
+ * - 🦀confirm <code> → Run a restart/new session that asked for confirmation
+ * - 🦀outbox → Show your replies that are still waiting for relays
+ * - 🦀history [n] → Show the sender's last n exchanges from the encrypted archive
+ * - 🦀subscribe / 🦀unsubscribe → Gateway notifications (offline/online, finished tasks, session errors)
+ * - Custom commands: modules in ./commands or channels.nost.commandsDir
+ * - Each command requires a role (viewer < operator < admin) from channels.nost.roles
  * - Auto-reply triggers: patch-in, test, hello, hi, etc.
+ * - Any other DM → forwarded to an OpenClaw agent session, answer relayed back
+ * - Replies also go to the recipient's kind 10050 / NIP-65 DM inbox relays
+ * - channels.nost.profile is published as kind 0 metadata on startup and SIGHUP
  *
- * Encryption: NIP-44 (preferred) with NIP-04 fallback for compatibility
+ * Encryption: NIP-44 (preferred) with NIP-04 fallback for compatibility,
+ * plus NIP-17 private DMs (kind 14 sealed in kind 13, gift-wrapped in kind 1059)
  */
 
 const { getPublicKey, finalizeEvent, SimplePool, nip19 } = require('nostr-tools');
-const nip04 = require('nostr-tools/nip04');
-const nip44 = require('nostr-tools/nip44');
+const { hexToBytes } = require('nostr-tools/utils');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
-const os = require('os');
+
+const { StateStore } = require('./lib/state-store');
+const { CommandRegistry, roleAllows } = require('./lib/command-registry');
+const { ControlServer } = require('./lib/control-server');
+const { createLogger } = require('./lib/logger');
+const { RelayCircuitBreaker, BREAKER_STATES, FAILURE_KINDS } = require('./lib/relay-breaker');
+const { Outbox, OUTBOX_STATUS } = require('./lib/outbox');
+const { TranscriptArchive } = require('./lib/transcript-archive');
+const { RelayCursors } = require('./lib/relay-cursors');
+const { GatewayWatcher, formatGatewayEvent, topicOf } = require('./lib/gateway-watcher');
+const { formatReply } = require('./lib/reply-formatter');
+const { findOpenClawConfig, loadOpenClawConfig, buildNostrConfig, readChannelOverrides, deduplicatePubkeys } = require('./lib/openclaw-config');
+const { buildProfileMetadata, buildProfileEvent, KIND_METADATA } = require('./lib/profile');
+const {
+  decryptKind4, encryptKind4, unwrapGiftWrap, wrapPrivateDM, detectKind4Scheme,
+  DM_SCHEMES, SCHEME_LABELS, KIND_GIFT_WRAP, GIFT_WRAP_BACKDATE_SECONDS
+} = require('./lib/dm-crypto');
+const { InboxRelayCache, buildDmRelayListTemplate, KIND_DM_RELAYS, KIND_RELAY_LIST } = require('./lib/inbox-relays');
+
+// Level and format come from the environment until the config is loaded
+const log = createLogger({
+  level: process.env.OPENCLAW_NOSTR_LOG_LEVEL,
+  format: process.env.OPENCLAW_NOSTR_LOG_FORMAT
+});
 
 const execAsync = promisify(exec);
 
-// Track relay connection health
-const relayHealth = new Map();
+// Publish circuit breaker per relay (see lib/relay-breaker.js)
+const relayBreakers = new Map();
+const startTime = Date.now();
 
 // ============================================================================
 // CONFIGURATION LOADER
 // ============================================================================
 
-function loadOpenClawConfig() {
-  const configPaths = [
-    path.join(os.homedir(), '.openclaw', 'openclaw.json'),
-    '/usr/local/lib/node_modules/openclaw/openclaw.json',
-  ];
-
-  for (const configPath of configPaths) {
-    try {
-      if (fs.existsSync(configPath)) {
-        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-        console.log(`  🔍 DEBUG: Loading config from ${configPath}`);
-        return config;
-      }
-    } catch (error) {
-      console.error(`Error reading config from ${configPath}:`, error.message);
-    }
-  }
-
-  throw new Error('Could not find openclaw.json in any standard location');
-}
+// Path and content hash of the openclaw.json that was loaded last (watched for changes)
+let openclawConfigFile = null;
 
+// Loading and defaults live in lib/openclaw-config.js, shared with the nostr-claw CLI
 function getNostrConfig() {
   try {
-    const openclawConfig = loadOpenClawConfig();
-    
-    console.log(`  🔍 DEBUG: openclawConfig.channels =`, JSON.stringify(openclawConfig.channels));
-    
-    // Support multiple config formats for compatibility
-    // Priority: entries.nost (new), nostr (old), top-level nostr (fallback)
-    const nostrChannel = openclawConfig?.channels?.entries?.nost || 
-                           openclawConfig?.channels?.nostr || 
-                           openclawConfig?.nostr || {};
-    
-    console.log(`  🔍 DEBUG: nostrChannel =`, JSON.stringify(nostrChannel));
-    
-    const env = openclawConfig?.env || {};
-
-    // Priority: explicit channel config > env vars > defaults
-    let privateKey = nostrChannel.privateKey;
-    if (!privateKey) {
-      privateKey = env.OPENCLAW_NOSTR_PRIVATE_KEY;
-    }
-
-    if (!privateKey) {
-      throw new Error('No private key found. Set channels.nost.privateKey or OPENCLAW_NOSTR_PRIVATE_KEY');
-    }
-
-    // Convert nsec to hex if needed
-    if (privateKey.startsWith('nsec1')) {
-      const { data: hex } = nip19.decode(privateKey);
-      privateKey = hex;
-    }
-
-    // Relays: channel config > defaults (with deduplication)
-    const defaultRelays = [
-      'wss://relay.damus.io',
-      'wss://relay.primal.net',
-      'wss://nos.lol',
-      'wss://relay.0xchat.com',
-      'wss://nostr.wine',
-      'wss://inbox.nostr.wine',
-      'wss://auth.nostr1.com'
-    ];
-
-    const configuredRelays = nostrChannel.relays || defaultRelays;
-    const relays = deduplicateRelays(configuredRelays);
-
-    // If deduplication resulted in empty array, use defaults
-    const finalRelays = relays.length > 0 ? relays : defaultRelays;
-
-    if (relays.length !== configuredRelays.length) {
-      console.log(`  ℹ️  Relay deduplication: ${configuredRelays.length} → ${finalRelays.length} unique relays`);
-    }
-
-    // DM Policy (new format: nostrChannel.dmPolicy, old format fallback)
-    const dmPolicy = nostrChannel.dmPolicy || openclawConfig?.channels?.nostr?.dmPolicy || 'allowlist';
-
-    // Allowed senders (new format: nostrChannel.allowFrom, old format fallback)
-    const allowFromList = nostrChannel.allowFrom || openclawConfig?.channels?.nostr?.allowFrom;
-    
-    console.log(`  🔍 DEBUG: allowFromList =`, JSON.stringify(allowFromList));
-    
-    let allowedSenders = [];
-    
-    if (dmPolicy === 'allowlist' && allowFromList) {
-      allowedSenders = deduplicatePubkeys(allowFromList);
-      console.log(`  ℹ️  Allowlist configured: ${allowFromList.length} pubkeys → ${allowedSenders.length} unique pubkeys`);
-    } else if (dmPolicy === 'open' || dmPolicy === 'pairing') {
-      allowedSenders = ['*']; // Allow anyone
-      console.log(`  ℹ️  Policy: ${dmPolicy} (anyone can DM)`);
-    }
-    
-    console.log(`  🔍 DEBUG: allowedSenders =`, JSON.stringify(allowedSenders));
-
-    return {
-      privateKey,
-      relays: finalRelays,
-      dmPolicy,
-      allowedSenders,
-      enabled: nostrChannel.enabled !== false,
-      name: nostrChannel.name || 'OpenClaw',
-      profile: nostrChannel.profile || {}
-    };
+    const file = loadOpenClawConfig(findOpenClawConfig());
+    openclawConfigFile = { path: file.path, hash: file.hash };
+    log.debug(`  Loading config from ${file.path}`);
+
+    // --relay, --key-file and --key-env of `nostr-claw daemon` apply to every reload
+    return buildNostrConfig(file.config, { log, source: file.path, channelOverrides: readChannelOverrides() });
   } catch (error) {
-    console.error('Failed to load Nostr config:', error.message);
+    log.error(`Failed to load Nostr config: ${error.message}`);
     throw error;
   }
 }
@@ -151,445 +97,536 @@ function getNostrConfig() {
 // CONFIGURATION
 // ============================================================================
 
+// CLI: node auto-reply-daemon-openclaw.js --check-config (same as nostr-claw check-config)
+if (process.argv.includes('--check-config')) {
+  process.exit(require('./cli/check-config').run({ positionals: [], values: {} }, { log }));
+}
+
 let config;
 try {
   config = getNostrConfig();
-  console.log('✓ Loaded Nostr configuration from openclaw.json');
-  console.log(`  Policy: ${config.dmPolicy}`);
-  console.log(`  Relays: ${config.relays.length} configured`);
-  console.log(`  Allowed senders: ${config.allowedSenders.includes('*') ? 'Anyone' : config.allowedSenders.length}`);
+  log.configure(config.logging);
+  log.addSecret(config.privateKey);
+  log.addSecret(config.gatewayToken);
+  log.info('✓ Loaded Nostr configuration from openclaw.json');
+  log.info(`  Key: ${config.keySource}`);
+  log.info(`  Policy: ${config.dmPolicy}`);
+  log.info(`  Relays: ${config.relays.length} configured`);
+  log.info(`  Allowed senders: ${config.allowedSenders.includes('*') ? 'Anyone' : config.allowedSenders.length}`);
 } catch (error) {
-  console.error('✗ Configuration error:', error.message);
+  log.error(`✗ Configuration error: ${error.message}`);
   process.exit(1);
 }
 
 if (!config.enabled) {
-  console.log('Nostr channel is disabled in openclaw.json. Exiting.');
+  log.info('Nostr channel is disabled in openclaw.json. Exiting.');
   process.exit(0);
 }
 
-const PRIVATE_KEY_HEX = config.privateKey;
-const RELAYS = config.relays;
-const ALLOWED_SENDERS = config.allowedSenders;
+// The identity is fixed for the life of the process; everything else is read
+// from `config`, which a reload replaces (see CONFIG RELOAD)
+const PRIVATE_KEY = hexToBytes(config.privateKey);
+const MY_PUBKEY = getPublicKey(PRIVATE_KEY);
 
-// Debug logging
-console.log(`  Config loaded - Allowed senders: ${ALLOWED_SENDERS.length}`);
+log.debug(`  Config loaded - Allowed senders: ${config.allowedSenders.length}`);
 
 const AUTO_REPLY_TRIGGERS = ['patch-in', 'test', 'hello', 'hi', 'howdy', 'ping', 'dm', 'check', 'verify'];
-const AUTO_REPLY_MESSAGE = `Auto-reply from ${config.name}: I received your DM! This is an auto-reply confirming that Nostr patch-in feature is working.`;
 
-const POLL_INTERVAL_SECONDS = 60;
+function autoReplyMessage() {
+  return `Auto-reply from ${config.name}: I received your DM! This is an auto-reply confirming that Nostr patch-in feature is working.`;
+}
+
+// Live subscriptions and since cursors
+const CURSOR_SLACK_SECONDS = 5 * 60;                 // Re-read a little overlap; duplicates are skipped
+const CURSOR_LIVE_LAG_SECONDS = 60;                  // Allow for relays that receive events late
+const CURSOR_SAVE_INTERVAL_MS = 30 * 1000;
+const RESUBSCRIBE_BASE_MS = 5 * 1000;
+const RESUBSCRIBE_MAX_MS = 5 * 60 * 1000;
 const CONVERSATION_TIMEOUT_MS = 60 * 60 * 1000; // 1 hour
 const MAX_RETRIES = 3;
 const BASE_BACKOFF_MS = 2000;
 const MAX_BACKOFF_MS = 30000;
-const MAX_CONSECUTIVE_FAILURES = 5;
+const MAX_CONSECUTIVE_FAILURES = 5;                // Errors in a row before a relay's circuit opens
 const JITTER_MS = 1000;
-
-// Command cooldowns (in milliseconds)
-const COMMAND_COOLDOWNS = {
-  restart: 60 * 1000, // 1 minute for restart (takes ~30s)
-  status: 10 * 1000,  // 10 seconds for status
-  task: 30 * 1000,    // 30 seconds for task info
-  newSession: 30 * 1000, // 30 seconds for new session
-  help: 5 * 1000,      // 5 seconds for help (low overhead)
-  relays: 30 * 1000    // 30 seconds for relay health check
-};
+const RELAY_BREAKER_BASE_OPEN_MS = 30 * 1000;      // First cool-down, doubled each time the circuit reopens
+const RELAY_BREAKER_MAX_OPEN_MS = 10 * 60 * 1000;
+const RELAY_BLOCKED_OPEN_MS = 60 * 60 * 1000;      // Relays that refuse our events are left alone for an hour
+const INBOX_RELAY_MISS_TTL_MS = 10 * 60 * 1000;    // Look again sooner for recipients without a relay list
+const INBOX_RELAY_LOOKUP_TIMEOUT_MS = 3000;
+const OUTBOX_RETRY_INTERVAL_MS = 15 * 1000;       // How often due outbox items are retried
+const OUTBOX_BASE_RETRY_MS = 30 * 1000;           // First retry delay, doubled per attempt
+const OUTBOX_MAX_RETRY_MS = 30 * 60 * 1000;
+const GATEWAY_POLL_TIMEOUT_MS = 5000;
+const NOTIFY_ROLE = 'operator';                    // Same as 🦀subscribe; checked again before each notification
+
+const MAX_SESSIONS_PER_SENDER = 10;
+const STATE_SAVE_INTERVAL_MS = 30 * 1000;
+
+// Pairing (dmPolicy: 'pairing')
+const PAIRING_CODE_TTL_MS = 24 * 60 * 60 * 1000; // Codes expire after 24 hours
+const PAIRING_NOTICE_INTERVAL_MS = 60 * 60 * 1000; // At most one "pending approval" reply per hour
+const MAX_PENDING_PAIRINGS = 100;
+const PAIRING_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I
+
+// Confirmation of destructive commands (🦀confirm <code>)
+const CONFIRMATION_TTL_MS = 60 * 1000;
+const CONFIRMATION_CODE_LENGTH = 4;
+const MAX_PENDING_CONFIRMATIONS = 5; // Per sender
 
 // ============================================================================
-// ENCRYPTION HANDLERS (NIP-44 preferred, NIP-04 fallback)
+// STATE FILES
 // ============================================================================
 
-async function decryptDM(content, privateKey, senderPubkey) {
-  try {
-    const decrypted = await nip44.decrypt(content, privateKey, senderPubkey);
-    console.log('  🔒 Decrypted with NIP-44 (v2 encryption)');
-    return decrypted;
-  } catch (error44) {
-    console.log('  ℹ️  NIP-44 decrypt failed, trying NIP-04 fallback...');
-    try {
-      const decrypted = await nip04.decrypt(content, privateKey, senderPubkey);
-      console.log('  🔓 Decrypted with NIP-04 (legacy encryption)');
-      return decrypted;
-    } catch (error04) {
-      throw new Error(`Decryption failed (both NIP-44 and NIP-04): ${error04.message}`);
-    }
-  }
+function getStatePath(fileName) {
+  return path.join(config.stateDir, fileName);
 }
 
-async function encryptDM(message, privateKey, recipientPubkey) {
+function loadStateFile(fileName, fallback) {
+  const filePath = getStatePath(fileName);
+
   try {
-    const encrypted = nip44.encrypt(privateKey, recipientPubkey, message);
-    console.log('  🔒 Encrypted with NIP-44 (v2 encryption)');
-    return encrypted;
-  } catch (error44) {
-    console.log('  ℹ️  NIP-44 encrypt failed, trying NIP-04 fallback...');
-    try {
-      const encrypted = await nip04.encrypt(privateKey, recipientPubkey, message);
-      console.log('  🔓 Encrypted with NIP-04 (legacy encryption)');
-      return encrypted;
-    } catch (error04) {
-      throw new Error(`Encryption failed (both NIP-44 and NIP-04): ${error04.message}`);
+    if (fs.existsSync(filePath)) {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
     }
+  } catch (error) {
+    log.error(`  ✗ Failed to read ${filePath}: ${error.message}`);
   }
+
+  return fallback;
 }
 
-// ============================================================================
-// RELAY DEDUPLICATION & VALIDATION
-// ============================================================================
+// Write to a temp file and rename it over the old one, so a crash never leaves a half-written file
+function saveStateFile(fileName, data) {
+  const filePath = getStatePath(fileName);
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
 
-function normalizeRelayUrl(url) {
-  if (!url || typeof url !== 'string') {
-    return null;
+  try {
+    fs.mkdirSync(config.stateDir, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, filePath);
+  } catch (error) {
+    log.error(`  ✗ Failed to write ${filePath}: ${error.message}`);
   }
+}
 
-  url = url.trim();
-  url = url.replace(/\/+$/, ''); // Remove trailing slash
+// Append-only audit trail of command attempts, one JSON object per line
+function appendAuditLog(entry) {
+  const filePath = getStatePath('audit.jsonl');
 
-  if (!url.startsWith('ws://') && !url.startsWith('wss://')) {
-    console.warn(`  ⚠️  Invalid relay protocol: ${url}`);
-    return null;
+  try {
+    fs.mkdirSync(config.stateDir, { recursive: true, mode: 0o700 });
+    fs.appendFileSync(filePath, `${JSON.stringify({ time: new Date().toISOString(), ...entry })}\n`, { mode: 0o600 });
+  } catch (error) {
+    log.error(`  ✗ Failed to write ${filePath}: ${error.message}`);
   }
-
-  return url;
 }
 
-function deduplicateRelays(relays) {
-  if (!Array.isArray(relays)) {
-    console.warn('  ⚠️  Relays is not an array');
-    return [];
-  }
-
-  const seen = new Set();
-  const uniqueRelays = [];
+// ============================================================================
+// PERSISTENT STATE
+// ============================================================================
 
-  for (const relay of relays) {
-    const normalized = normalizeRelayUrl(relay);
+// Event deduplication, conversation tracking, cooldowns and relay health survive
+// restarts, so old DMs (e.g. a 🦀restart) are never handled twice
+const STATE_FILE = 'state.jsonl';
+const stateStore = new StateStore(getStatePath(STATE_FILE));
 
-    if (!normalized) {
-      console.warn(`  ⚠️  Skipping invalid relay: ${relay}`);
-      continue;
-    }
+try {
+  const loaded = stateStore.load();
+  log.info(`  ✓ Loaded state: ${loaded.processed} processed events, ${loaded.conversations} conversations${loaded.skipped ? ` (${loaded.skipped} unreadable lines skipped)` : ''}`);
+} catch (error) {
+  log.error(`  ✗ Failed to load state from ${getStatePath(STATE_FILE)}: ${error.message}`);
+}
 
-    if (seen.has(normalized)) {
-      console.log(`  ℹ️  Skipping duplicate relay: ${normalized}`);
-      continue;
-    }
+const processedEvents = stateStore.processedEvents;
+const repliedEvents = stateStore.repliedEvents;
+const senderConversations = stateStore.conversations;
+const commandCooldowns = stateStore.commandCooldowns;
+const relayHealth = stateStore.relayHealth;
 
-    seen.add(normalized);
-    uniqueRelays.push(normalized);
+function saveState() {
+  try {
+    stateStore.save();
+  } catch (error) {
+    log.error(`  ✗ Failed to save state: ${error.message}`);
   }
-
-  return uniqueRelays;
 }
 
-function deduplicatePubkeys(pubkeys) {
-  if (!Array.isArray(pubkeys)) {
-    console.warn('  ⚠️  Pubkeys is not an array');
-    return [];
-  }
-
-  const seen = new Set();
-  const uniquePubkeys = [];
+function scheduleStateSave() {
+  stateStore.scheduleSave(error => log.error(`  ✗ Failed to save state: ${error.message}`));
+}
 
-  for (const key of pubkeys) {
-    if (!key || typeof key !== 'string') {
-      console.warn(`  ⚠️  Skipping invalid pubkey`);
-      continue;
-    }
+// Replies that missed their relay quorum, retried across restarts (see processOutbox)
+const OUTBOX_FILE = 'outbox.json';
+const outbox = new Outbox(getStatePath(OUTBOX_FILE), {
+  ttlMs: config.outbox.ttlMs,
+  baseRetryMs: OUTBOX_BASE_RETRY_MS,
+  maxRetryMs: OUTBOX_MAX_RETRY_MS
+});
 
-    let hexKey = key;
-    if (key.startsWith('npub1')) {
-      try {
-        const { data: hex } = nip19.decode(key);
-        hexKey = hex;
-        console.log(`  🔓 Decoded npub: ${key.substring(0, 20)}... → hex: ${hexKey.substring(0, 20)}...`);
-      } catch (error) {
-        console.warn(`  ⚠️  Invalid npub format: ${key} - error: ${error.message}`);
-        continue;
-      }
-    } else {
-      console.log(`  📋 Raw hex key: ${key.substring(0, 20)}...`);
-    }
+try {
+  if (outbox.load() > 0) {
+    const counts = outbox.counts();
+    log.info(`  ✓ Loaded outbox: ${counts.pending + counts.partial} undelivered, ${counts.delivered} delivered, ${counts.expired} expired`);
+  }
+} catch (error) {
+  log.error(`  ✗ Failed to load outbox from ${getStatePath(OUTBOX_FILE)}: ${error.message}`);
+}
 
-    if (!/^[a-f0-9]{64}$/i.test(hexKey)) {
-      console.warn(`  ⚠️  Invalid hex pubkey: ${hexKey.substring(0, 30)}...`);
-      continue;
-    }
+function saveOutbox() {
+  try {
+    outbox.save();
+  } catch (error) {
+    log.error(`  ✗ Failed to save outbox: ${error.message}`);
+  }
+}
 
-    if (seen.has(hexKey)) {
-      console.log(`  ℹ️  Skipping duplicate pubkey: ${key.substring(0, 20)}...`);
-      continue;
-    }
+// Every DM sent and received, encrypted with a key derived from ours (see lib/transcript-archive.js)
+const ARCHIVE_DIR = 'archive';
+const transcriptArchive = new TranscriptArchive(getStatePath(ARCHIVE_DIR), PRIVATE_KEY, {
+  maxPerSender: config.archive.maxPerSender
+});
 
-    seen.add(hexKey);
-    uniquePubkeys.push(hexKey);
-    console.log(`  ✓ Added pubkey: ${key.substring(0, 20)}... (total: ${uniquePubkeys.length})`);
+// A failed write is logged and never stops the DM itself. Only conversations
+// with allowed or approved senders are kept: pairing codes and refusals to
+// strangers would otherwise give every spam key its own archive file.
+function archiveMessage(pubkeyHex, record) {
+  if (!config.archive.enabled || !isSenderAllowed(pubkeyHex)) {
+    return;
   }
 
-  return uniquePubkeys;
+  try {
+    transcriptArchive.append(pubkeyHex, record);
+  } catch (error) {
+    log.error(`  ✗ Failed to archive DM: ${error.message}`);
+  }
 }
 
 // ============================================================================
-// COMMAND HANDLERS
+// SESSION BINDINGS
 // ============================================================================
 
-async function handleStatusCommand() {
-  try {
-    const { stdout, stderr } = await execAsync('openclaw gateway status', {
-      timeout: 10000 // 10 second timeout
-    });
-
-    let output = stdout || '';
-    if (stderr && stderr.trim()) {
-      output += `\n[Warning output]\n${stderr}`;
-    }
+// senderPubkeyHex -> { active, sessions: [{ key, createdAt, lastUsedAt }] }
+const SESSIONS_FILE = 'sessions.json';
+const sessionBindings = new Map(Object.entries(loadStateFile(SESSIONS_FILE, {})));
 
-    if (!output.trim()) {
-      throw new Error('No output received from gateway status command');
-    }
+function saveSessionBindings() {
+  saveStateFile(SESSIONS_FILE, Object.fromEntries(sessionBindings));
+}
 
-    return `📊 Gateway Status:\n${output}`;
-  } catch (error) {
-    throw new Error(`Failed to get gateway status: ${error.message}`);
-  }
+function getActiveSessionKey(senderPubkeyHex) {
+  return sessionBindings.get(senderPubkeyHex)?.active || null;
 }
 
-async function handleCurrentTaskCommand() {
-  try {
-    const response = await fetch('http://localhost:18789/status', {
-      method: 'GET',
-      signal: AbortSignal.timeout(5000)
-    });
+function bindSession(senderPubkeyHex, sessionKey) {
+  const binding = sessionBindings.get(senderPubkeyHex) || { active: null, sessions: [] };
+  const now = Date.now();
 
-    if (!response.ok) {
-      throw new Error(`Gateway status check failed: HTTP ${response.status}`);
-    }
+  const existing = binding.sessions.find(s => s.key === sessionKey);
+  if (existing) {
+    existing.lastUsedAt = now;
+  } else {
+    binding.sessions.push({ key: sessionKey, createdAt: now, lastUsedAt: now });
+  }
 
-    const data = await response.json();
+  // Keep the most recently used sessions
+  binding.sessions.sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+  binding.sessions = binding.sessions.slice(0, MAX_SESSIONS_PER_SENDER);
+  binding.active = sessionKey;
 
-    if (data.activeAgents && data.activeAgents.length > 0) {
-      const agents = data.activeAgents.map(a => {
-        return `- Agent: ${a.id || 'unknown'} (${a.model || 'default model'})`;
-      }).join('\n');
+  sessionBindings.set(senderPubkeyHex, binding);
+  saveSessionBindings();
+}
 
-      return `📋 Current Task Summary:\n\nActive agents: ${data.activeAgents.length}\n${agents}`;
-    }
+function unbindSession(senderPubkeyHex, sessionKey) {
+  const binding = sessionBindings.get(senderPubkeyHex);
+  if (!binding) {
+    return;
+  }
 
-    const sessionsResponse = await fetch('http://localhost:18789/sessions', {
-      method: 'GET',
-      signal: AbortSignal.timeout(5000)
-    });
+  binding.sessions = binding.sessions.filter(s => s.key !== sessionKey);
+  if (binding.active === sessionKey) {
+    binding.active = null;
+  }
 
-    if (sessionsResponse.ok) {
-      const sessionsData = await sessionsResponse.json();
-      if (sessionsData.sessions && sessionsData.sessions.length > 0) {
-        const recentSessions = sessionsData.sessions.slice(0, 3).map(s => {
-          const age = Math.floor((Date.now() - (s.createdAt || Date.now())) / 1000 / 60);
-          return `- Session ${s.id || s.key || 'unknown'} (${age} min ago)`;
-        }).join('\n');
+  saveSessionBindings();
+}
 
-        return `📋 Current Task Summary:\n\nRecent sessions:\n${recentSessions}`;
-      }
-    }
+// ============================================================================
+// PAIRING
+// ============================================================================
 
-    return `📋 Current Task Summary:\n\nNo active tasks detected. OpenClaw is ready and waiting for commands.`;
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      throw new Error('Timeout waiting for current task. The gateway may be busy.');
-    }
-    throw new Error(`Failed to get current task: ${error.message}`);
-  }
+// { approved: [pubkeyHex], pending: { pubkeyHex: { code, createdAt, lastNoticeAt } } }
+// Always read from disk so approvals made with the CLI are seen by the running daemon
+const PAIRING_FILE = 'pairing.json';
+
+function loadPairingState() {
+  const state = loadStateFile(PAIRING_FILE, {});
+  return {
+    approved: Array.isArray(state.approved) ? state.approved : [],
+    pending: state.pending || {}
+  };
 }
 
-async function handleNewSessionCommand() {
-  try {
-    const response = await fetch('http://localhost:18789/sessions/new', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({}),
-      signal: AbortSignal.timeout(10000)
-    });
+function generatePairingCode() {
+  const bytes = crypto.randomBytes(6);
+  return Array.from(bytes, byte => PAIRING_CODE_ALPHABET[byte % PAIRING_CODE_ALPHABET.length]).join('');
+}
 
-    if (response.ok) {
-      const data = await response.json();
-      const sessionKey = data.sessionKey || data.key || data.id || 'new session';
+function isPairedSender(senderPubkeyHex) {
+  return loadPairingState().approved.includes(senderPubkeyHex);
+}
 
-      return `✅ New session started!\n\nSession: ${sessionKey}\n\nYou can now send commands to this fresh session.`;
-    }
+// Returns the "pending approval" reply for an unknown sender, or null while throttled
+function handlePairingRequest(senderPubkeyHex) {
+  const state = loadPairingState();
+  const now = Date.now();
 
-    throw new Error(`API returned HTTP ${response.status}. Please use /new in your OpenClaw interface to start a new session manually.`);
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      throw new Error('Timeout waiting for new session. The gateway may be busy.');
+  // Drop expired codes
+  for (const [pubkey, request] of Object.entries(state.pending)) {
+    if (now - request.createdAt > PAIRING_CODE_TTL_MS) {
+      delete state.pending[pubkey];
     }
-    throw new Error(`Failed to start new session: ${error.message}`);
   }
-}
-
-async function handleRestartCommand() {
-  try {
-    const { stdout, stderr } = await execAsync('openclaw gateway restart', {
-      timeout: 60000 // 60 second timeout (restart takes ~30s)
-    });
 
-    let output = stdout || '';
-    if (stderr && stderr.trim()) {
-      output += `\n[Output]\n${stderr}`;
+  let request = state.pending[senderPubkeyHex];
+
+  if (!request) {
+    // Make room by dropping the oldest requests, so a flood of throwaway keys
+    // cannot keep a real sender from getting a code
+    const oldest = Object.entries(state.pending)
+      .sort(([, a], [, b]) => a.createdAt - b.createdAt)
+      .slice(0, Math.max(Object.keys(state.pending).length - MAX_PENDING_PAIRINGS + 1, 0));
+    for (const [pubkey, evicted] of oldest) {
+      delete state.pending[pubkey];
+      log.warn(`  ⚠️  Too many pending pairing requests, dropped code ${evicted.code} of ${nip19.npubEncode(pubkey).substring(0, 20)}...`);
     }
 
-    return `🔄 Gateway restart initiated!\n\n${output}\n\nNote: It will take approximately 30 seconds for the gateway to come back online. Please wait before sending new commands.`;
-  } catch (error) {
-    throw new Error(`Failed to restart gateway: ${error.message}`);
+    request = { code: generatePairingCode(), createdAt: now, lastNoticeAt: null };
+    state.pending[senderPubkeyHex] = request;
+    log.info(`  🔑 Pairing code ${request.code} issued for ${nip19.npubEncode(senderPubkeyHex)}`);
   }
-}
 
-async function handleRelaysCommand() {
-  try {
-    const pool = new SimplePool();
-    const results = [];
-    const myPubkey = getPublicKey(PRIVATE_KEY_HEX);
+  if (request.lastNoticeAt && now - request.lastNoticeAt < PAIRING_NOTICE_INTERVAL_MS) {
+    saveStateFile(PAIRING_FILE, state);
+    return null;
+  }
 
-    for (const relayUrl of RELAYS) {
-      const startTime = Date.now();
+  request.lastNoticeAt = now;
+  saveStateFile(PAIRING_FILE, state);
 
-      try {
-        await pool.ensureRelay(relayUrl);
-
-        const events = await pool.querySync(
-          [relayUrl],
-          {
-            kinds: [4],
-            '#p': [myPubkey],
-            limit: 1
-          }
-        );
+  return `🔑 Pairing required\n\nYour pairing code: ${request.code}\n\nAsk the operator of ${config.name} to approve this code. Until then your messages are not processed.`;
+}
+
+function findPendingPairing(state, code) {
+  const wanted = String(code).toUpperCase();
+  return Object.entries(state.pending).find(([, request]) => request.code === wanted) || null;
+}
 
-        const latency = Date.now() - startTime;
-        const isConnected = true;
+// Approve or reject a pending pairing by code; returns the affected pubkey
+function resolvePairing(code, approve) {
+  const state = loadPairingState();
+  const match = findPendingPairing(state, code);
 
-        relayHealth.set(relayUrl, {
-          connected: true,
-          lastConnected: Date.now(),
-          lastError: null,
-          latency
-        });
+  if (!match) {
+    return null;
+  }
 
-        results.push({
-          url: relayUrl,
-          status: '✅ Online',
-          latency: `${latency}ms`,
-          eventsFound: events.length
-        });
+  const [pubkey, request] = match;
+  delete state.pending[pubkey];
 
-      } catch (error) {
-        const latency = Date.now() - startTime;
-        const errorMsg = error.message || 'Connection failed';
-
-        relayHealth.set(relayUrl, {
-          connected: false,
-          lastConnected: null,
-          lastError: errorMsg,
-          latency
-        });
-
-        results.push({
-          url: relayUrl,
-          status: '❌ Offline/Error',
-          latency: `${latency}ms`,
-          error: errorMsg.substring(0, 50) + (errorMsg.length > 50 ? '...' : '')
-        });
-      }
-    }
+  if (approve && !state.approved.includes(pubkey)) {
+    state.approved.push(pubkey);
+  }
 
-    pool.close();
+  saveStateFile(PAIRING_FILE, state);
+  log.info(`  🔑 Pairing ${request.code} ${approve ? 'approved' : 'rejected'} for ${nip19.npubEncode(pubkey)}`);
 
-    const onlineCount = results.filter(r => r.status.includes('Online')).length;
-    const offlineCount = results.length - onlineCount;
+  return pubkey;
+}
 
-    let summary = '📡 Relay Health Summary\n\n';
-    summary += `Total Relays: ${results.length}\n`;
-    summary += `✅ Online: ${onlineCount}\n`;
-    summary += `❌ Offline/Error: ${offlineCount}\n\n`;
+function formatPendingPairings(state) {
+  const entries = Object.entries(state.pending);
+  if (entries.length === 0) {
+    return 'No pending pairing requests.';
+  }
 
-    for (const result of results) {
-      summary += `${result.status} ${result.url}\n`;
-      summary += `   Latency: ${result.latency}`;
+  return entries.map(([pubkey, request]) => {
+    const age = Math.floor((Date.now() - request.createdAt) / 1000 / 60);
+    return `${request.code}  ${nip19.npubEncode(pubkey)} (${age} min ago)`;
+  }).join('\n');
+}
 
-      if (result.eventsFound !== undefined) {
-        summary += ` | Recent DMs: ${result.eventsFound}`;
+// CLI: node auto-reply-daemon-openclaw.js pair <list|approve|reject|revoke> [code|npub]
+function runPairingCli(args) {
+  const [action, value] = args;
+
+  switch (action) {
+    case 'list': {
+      const state = loadPairingState();
+      console.log('\nPending requests:');
+      console.log(formatPendingPairings(state));
+      console.log(`\nApproved senders: ${state.approved.length}`);
+      state.approved.forEach(pubkey => console.log(`  ${nip19.npubEncode(pubkey)}`));
+      return 0;
+    }
+    case 'approve':
+    case 'reject': {
+      if (!value) {
+        console.error(`Usage: pair ${action} <code>`);
+        return 1;
       }
-
-      if (result.error) {
-        summary += ` | Error: ${result.error}`;
+      const pubkey = resolvePairing(value, action === 'approve');
+      if (!pubkey) {
+        console.error(`✗ No pending pairing request with code ${value}`);
+        return 1;
       }
-
-      summary += '\n';
+      console.log(`✓ ${action === 'approve' ? 'Approved' : 'Rejected'} ${nip19.npubEncode(pubkey)}`);
+      return 0;
     }
+    case 'revoke': {
+      const [pubkey] = value ? deduplicatePubkeys([value], log) : [];
+      if (!pubkey) {
+        console.error('Usage: pair revoke <npub|hex>');
+        return 1;
+      }
+      const state = loadPairingState();
+      state.approved = state.approved.filter(key => key !== pubkey);
+      saveStateFile(PAIRING_FILE, state);
+      console.log(`✓ Revoked ${nip19.npubEncode(pubkey)}`);
+      return 0;
+    }
+    default:
+      console.error('Usage: node auto-reply-daemon-openclaw.js pair <list|approve <code>|reject <code>|revoke <npub>>');
+      return 1;
+  }
+}
 
-    summary += `\n💡 Tip: Healthy relays respond in <1000ms. Consider removing offline relays from config.`;
+// ============================================================================
+// ENCRYPTION HANDLERS (reply in the scheme the sender used)
+// ============================================================================
 
-    return summary;
-  } catch (error) {
-    throw new Error(`Failed to check relay health: ${error.message}`);
-  }
+// Formats and the crypto itself are in lib/dm-crypto.js; these add logging and the NIP-04 fallback
+async function decryptDM(content, privateKey, senderPubkey) {
+  const result = decryptKind4(content, privateKey, senderPubkey);
+
+  log.debug(result.scheme === DM_SCHEMES.NIP44
+    ? '  🔒 Decrypted with NIP-44 (v2 encryption)'
+    : '  🔓 Decrypted with NIP-04 (legacy encryption)');
+  return result;
 }
 
-async function handleHelpCommand() {
-  const helpText = `
-🦀 CLAW COMMANDS
+async function encryptDM(message, privateKey, recipientPubkey, scheme = DM_SCHEMES.NIP44) {
+  if (scheme === DM_SCHEMES.NIP04) {
+    const encrypted = encryptKind4(message, privateKey, recipientPubkey, DM_SCHEMES.NIP04);
+    log.debug('  🔓 Encrypted with NIP-04 (legacy encryption)');
+    return encrypted;
+  }
 
-Available remote control commands:
+  try {
+    const encrypted = encryptKind4(message, privateKey, recipientPubkey, DM_SCHEMES.NIP44);
+    log.debug('  🔒 Encrypted with NIP-44 (v2 encryption)');
+    return encrypted;
+  } catch (error44) {
+    log.warn('  ⚠️  NIP-44 encrypt failed, trying NIP-04 fallback...');
+    try {
+      const encrypted = encryptKind4(message, privateKey, recipientPubkey, DM_SCHEMES.NIP04);
+      log.debug('  🔓 Encrypted with NIP-04 (legacy encryption)');
+      return encrypted;
+    } catch (error04) {
+      throw new Error(`Encryption failed (both NIP-44 and NIP-04): ${error04.message}`);
+    }
+  }
+}
 
-🦀status
-  Run \`openclaw gateway status\` and return full output
-  Cooldown: 10 seconds
+// Scheme for a reply: per-sender override from config > scheme of the message
+// being answered > scheme the sender last used > configured default
+function resolveReplyScheme(senderPubkeyHex, inboundScheme = null) {
+  const override = config.replySchemes[senderPubkeyHex];
+  if (override) {
+    return override;
+  }
 
-🦀current task
-  Get summary of current task/activity via OpenClaw API
-  Cooldown: 30 seconds
+  if (inboundScheme) {
+    return inboundScheme;
+  }
 
-🦀new session
-  Start a new chat session (equivalent to /new)
-  Cooldown: 30 seconds
+  return senderConversations.get(senderPubkeyHex)?.lastScheme || config.defaultReplyScheme;
+}
 
-🦀restart
-  Restart OpenClaw gateway
-  Cooldown: 1 minute
+// ============================================================================
+// COMMANDS
+// ============================================================================
 
-🦀relays
-  Check health status of all configured Nostr relays
-  Shows connection status, latency, and error details
-  Cooldown: 30 seconds
+// Built-in commands live in ./commands, one module per command; extra modules
+// can be dropped into channels.nost.commandsDir (see lib/command-registry.js)
+const commandRegistry = new CommandRegistry();
 
-🦀help
-  Show this help message
-  Cooldown: 5 seconds
+function loadCommands() {
+  const directories = [path.join(__dirname, 'commands')];
+  if (config.commandsDir) {
+    directories.push(config.commandsDir);
+  }
 
----
+  for (const directory of directories) {
+    const { loaded, errors } = commandRegistry.loadDirectory(directory);
 
-🔒 Encryption Security:
-- NIP-44 preferred (v2 XChaCha20-Poly1305 encryption)
-- NIP-04 fallback for compatibility with older clients
-- Messages automatically use best available encryption
+    if (loaded.length > 0) {
+      log.info(`  ✓ Loaded ${loaded.length} command(s) from ${directory}`);
+    }
+    for (const error of errors) {
+      log.error(`  ✗ Skipped command module ${error.file}: ${error.message}`);
+    }
+  }
+}
 
----
+function gatewayFetch(pathname, init = {}) {
+  return fetch(`${config.gatewayUrl}${pathname}`, {
+    ...init,
+    headers: gatewayHeaders(init.headers)
+  });
+}
 
-Auto-Reply Triggers:
-patch-in, test, hello, hi, howdy, ping, dm, check, verify
+// What command modules get as ctx.daemon
+const commandServices = {
+  exec: execAsync,
+  gatewayFetch,
+  createAgentSession,
+  bindSession,
+  getSessionBinding: senderPubkeyHex => sessionBindings.get(senderPubkeyHex) || null,
+  getSenderRole,
+  formatPendingPairings: () => formatPendingPairings(loadPairingState()),
+  resolvePairing,
+  getOutbox: senderPubkeyHex => outbox.list(senderPubkeyHex),
+  getSubscription: senderPubkeyHex => notifySubscriptions.get(senderPubkeyHex) || null,
+  setSubscription,
+  get notificationsEnabled() {
+    return config.notifications.enabled;
+  },
+  getHistory: senderPubkeyHex => (config.archive.enabled ? transcriptArchive.exchanges(senderPubkeyHex) : null),
+  confirmPendingCommand,
+  relayHealth,
+  autoReplyTriggers: AUTO_REPLY_TRIGGERS,
+  get relays() {
+    return config.relays;
+  },
+  get myPubkey() {
+    return MY_PUBKEY;
+  }
+};
 
-Send any of these words to get an auto-reply with OpenClaw status.
-  `.trim();
+function getSenderRole(senderPubkeyHex) {
+  return config.roles[senderPubkeyHex] || config.defaultRole;
+}
 
-  return helpText;
+function getCommandCooldown(commandName) {
+  const command = commandRegistry.get(commandName);
+  return command ? command.cooldown : 30 * 1000; // Default 30s
 }
 
 // Check if a command is on cooldown
 function isCommandOnCooldown(commandName, senderPubkeyHex) {
   const now = Date.now();
-  const cooldownTime = COMMAND_COOLDOWNS[commandName] || 30 * 1000; // Default 30s
+  const cooldownTime = getCommandCooldown(commandName);
 
   // Check global cooldown (prevents everyone from spamming restart)
   const lastGlobalExecution = commandCooldowns.get(commandName);
@@ -636,440 +673,1678 @@ function markCommandExecuted(commandName, senderPubkeyHex) {
   }
 }
 
-// Detect and execute commands from message
+function commandAuditEntry(command, senderPubkeyHex) {
+  return {
+    sender: nip19.npubEncode(senderPubkeyHex),
+    command: command.name,
+    role: getSenderRole(senderPubkeyHex),
+    required: command.role
+  };
+}
+
+// Returns the reply refusing the command, or null if the sender may run it right now
+function checkCommandAllowed(command, senderPubkeyHex) {
+  // Check the sender's role before anything else, so denied attempts never touch cooldowns
+  const audit = commandAuditEntry(command, senderPubkeyHex);
+
+  if (!roleAllows(audit.role, command.role)) {
+    log.info(`  ⛔ ${command.name} denied: sender is ${audit.role}, needs ${command.role}`);
+    appendAuditLog({ ...audit, outcome: 'denied' });
+    return `⛔ Permission denied: 🦀${command.name} requires the ${command.role} role (your role: ${audit.role}).\n\nSend 🦀help to see the commands you can use.`;
+  }
+
+  // Check cooldowns
+  const cooldownStatus = isCommandOnCooldown(command.name, senderPubkeyHex);
+  if (cooldownStatus.onCooldown) {
+    log.info(`  ⏳ ${command.name} is on cooldown (${cooldownStatus.remainingTime}s remaining)`);
+    return `⏳ Command on cooldown. Please wait ${cooldownStatus.remainingTime} seconds before trying again.`;
+  }
+
+  return null;
+}
+
+async function runCommand(command, args, senderPubkeyHex, message) {
+  const audit = commandAuditEntry(command, senderPubkeyHex);
+
+  try {
+    log.info(`  ⚙️  Executing ${command.name} command...`);
+    const ctx = {
+      sender: senderPubkeyHex,
+      senderNpub: audit.sender,
+      role: audit.role,
+      message,
+      config,
+      registry: commandRegistry,
+      daemon: commandServices
+    };
+    const result = await command.run(ctx, args);
+
+    // Mark as executed
+    markCommandExecuted(command.name, senderPubkeyHex);
+
+    log.info(`  ✅ ${command.name} command completed`);
+    appendAuditLog({ ...audit, outcome: 'executed' });
+    return result;
+  } catch (error) {
+    log.error(`  ✗ ${command.name} command failed: ${error.message}`);
+    appendAuditLog({ ...audit, outcome: 'failed', error: error.message });
+    // Return error message instead of throwing, so it can be sent as a DM reply
+    return `❌ Error: ${error.message}`;
+  }
+}
+
+// Detect and execute a command; only messages starting with 🦀 are commands
 async function detectAndExecuteCommand(message, senderPubkeyHex) {
-  const commands = [
-    {
-      pattern: /🦀status/i,
-      name: 'status',
-      handler: handleStatusCommand
-    },
-    {
-      pattern: /🦀current task/i,
-      name: 'task',
-      handler: handleCurrentTaskCommand
-    },
-    {
-      pattern: /🦀new session/i,
-      name: 'newSession',
-      handler: handleNewSessionCommand
-    },
-    {
-      pattern: /🦀restart/i,
-      name: 'restart',
-      handler: handleRestartCommand
-    },
-    {
-      pattern: /🦀help/i,
-      name: 'help',
-      handler: handleHelpCommand
-    },
-    {
-      pattern: /🦀relays/i,
-      name: 'relays',
-      handler: handleRelaysCommand
-    }
-  ];
+  const parsed = commandRegistry.parse(message);
+  if (!parsed) {
+    return null; // No command detected
+  }
 
-  for (const command of commands) {
-    if (command.pattern.test(message)) {
-      console.log(`  🔍 Command detected: ${command.name}`);
+  if (!parsed.command) {
+    log.info(`  ❓ Unknown command: ${parsed.name}`);
+    return `❓ Unknown command: 🦀${parsed.name}\n\nSend 🦀help for the list of commands.`;
+  }
 
-      // Check cooldowns
-      const cooldownStatus = isCommandOnCooldown(command.name, senderPubkeyHex);
-      if (cooldownStatus.onCooldown) {
-        const cooldownMsg = `⏳ Command on cooldown. Please wait ${cooldownStatus.remainingTime} seconds before trying again.`;
-        console.log(`  ⏳ ${command.name} is on cooldown (${cooldownStatus.remainingTime}s remaining)`);
-        return cooldownMsg;
-      }
+  const command = parsed.command;
+  log.info(`  🔍 Command detected: ${command.name}`);
 
-      // Execute command
-      try {
-        console.log(`  ⚙️  Executing ${command.name} command...`);
-        const result = await command.handler();
+  const refusal = checkCommandAllowed(command, senderPubkeyHex);
+  if (refusal) {
+    return refusal;
+  }
 
-        // Mark as executed
-        markCommandExecuted(command.name, senderPubkeyHex);
+  if (parsed.error) {
+    return `⚠️ ${parsed.error}\n\nUsage: ${commandRegistry.formatUsage(command)}`;
+  }
 
-        console.log(`  ✅ ${command.name} command completed`);
-        return result;
-      } catch (error) {
-        console.error(`  ✗ ${command.name} command failed:`, error.message);
-        // Return error message instead of throwing, so it can be sent as a DM reply
-        return `❌ Error: ${error.message}`;
-      }
-    }
+  // Destructive commands wait for 🦀confirm <code>
+  if (command.confirm) {
+    return requestConfirmation(command, parsed.args, senderPubkeyHex, message);
   }
 
-  return null; // No command detected
+  return runCommand(command, parsed.args, senderPubkeyHex, message);
 }
 
 // ============================================================================
-// HELPER FUNCTIONS
+// COMMAND CONFIRMATION
 // ============================================================================
 
-function jitter() {
-  return Math.floor(Math.random() * 2 * JITTER_MS) - JITTER_MS;
-}
-
-async function publishWithRetry(pool, event, relays, maxRetries = MAX_RETRIES) {
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      // Filter out rate-limited relays
-      const availableRelays = relays.filter(url => {
-        const rateLimit = relayRateLimits.get(url);
-        if (rateLimit && rateLimit.backoffUntil > Date.now()) {
-          return false; // Skip this relay
-        }
-        return true;
-      });
-
-      if (availableRelays.length === 0) {
-        throw new Error('All relays are rate-limited');
-      }
+// Commands declared with confirm: true only run once the same sender replies
+// "🦀confirm <code>" before the code expires
+const pendingConfirmations = new Map(); // sender hex -> Map(code -> { command, args, message, expiresAt })
 
-      // Publish to all available relays
-      const promises = availableRelays.map(url =>
-        pool.publish(url, event).catch(err => {
-          console.error(`  ✗ ${url}:`, err.message);
-          throw err;
-        })
-      );
+function generateConfirmationCode() {
+  const bytes = crypto.randomBytes(CONFIRMATION_CODE_LENGTH);
+  return Array.from(bytes, byte => PAIRING_CODE_ALPHABET[byte % PAIRING_CODE_ALPHABET.length]).join('');
+}
 
-      await Promise.all(promises);
-      return true; // Success
-    } catch (error) {
-      const backoffMs = Math.min(
-        BASE_BACKOFF_MS * Math.pow(2, attempt),
-        MAX_BACKOFF_MS
-      ) + jitter();
+function requestConfirmation(command, args, senderPubkeyHex, message) {
+  prunePendingConfirmations();
 
-      console.log(`  ⏳ Retry attempt ${attempt + 1}/${maxRetries} in ${(backoffMs / 1000).toFixed(1)}s...`);
+  const pending = pendingConfirmations.get(senderPubkeyHex) || new Map();
 
-      if (attempt < maxRetries - 1) {
-        await new Promise(resolve => setTimeout(resolve, backoffMs));
-      } else {
-        throw error;
-      }
+  // Asking again replaces the earlier code for the same command
+  for (const [code, entry] of pending.entries()) {
+    if (entry.command.name === command.name) {
+      pending.delete(code);
     }
   }
-  return false;
-}
 
-function isSenderAllowed(senderPubkeyHex) {
-  if (ALLOWED_SENDERS.includes('*')) {
-    return true; // Allow anyone
+  if (pending.size >= MAX_PENDING_CONFIRMATIONS) {
+    pending.delete(pending.keys().next().value); // Drop the oldest
   }
-  return ALLOWED_SENDERS.includes(senderPubkeyHex);
-}
 
-function getConversationState(senderPubkeyHex) {
+  let code;
+  do {
+    code = generateConfirmationCode();
+  } while (pending.has(code));
+
+  pending.set(code, { command, args, message, expiresAt: Date.now() + CONFIRMATION_TTL_MS });
+  pendingConfirmations.set(senderPubkeyHex, pending);
+
+  log.info(`  🔐 ${command.name} awaiting confirmation (${code})`);
+  appendAuditLog({ ...commandAuditEntry(command, senderPubkeyHex), outcome: 'confirmation-requested' });
+
+  return `⚠️ 🦀${command.name} needs confirmation.\n\nReply 🦀confirm ${code} within ${CONFIRMATION_TTL_MS / 1000} seconds to go ahead.`;
+}
+
+async function confirmPendingCommand(senderPubkeyHex, code) {
+  prunePendingConfirmations();
+
+  const normalizedCode = code.toUpperCase();
+  const pending = pendingConfirmations.get(senderPubkeyHex);
+  const entry = pending && pending.get(normalizedCode);
+
+  if (!entry) {
+    return `❌ No pending command with code ${normalizedCode}. Codes expire after ${CONFIRMATION_TTL_MS / 1000} seconds; send the command again for a new one.`;
+  }
+
+  pending.delete(normalizedCode);
+  if (pending.size === 0) {
+    pendingConfirmations.delete(senderPubkeyHex);
+  }
+
+  // Role or cooldown may have changed while the code was pending
+  const refusal = checkCommandAllowed(entry.command, senderPubkeyHex);
+  if (refusal) {
+    return refusal;
+  }
+
+  return runCommand(entry.command, entry.args, senderPubkeyHex, entry.message);
+}
+
+function prunePendingConfirmations(now = Date.now()) {
+  for (const [senderPubkeyHex, pending] of pendingConfirmations.entries()) {
+    for (const [code, entry] of pending.entries()) {
+      if (entry.expiresAt <= now) {
+        pending.delete(code);
+      }
+    }
+
+    if (pending.size === 0) {
+      pendingConfirmations.delete(senderPubkeyHex);
+    }
+  }
+}
+
+// ============================================================================
+// AGENT FORWARDING
+// ============================================================================
+
+function gatewayHeaders(extraHeaders = {}) {
+  const headers = {
+    'Content-Type': 'application/json',
+    ...extraHeaders
+  };
+
+  if (config.gatewayToken) {
+    headers['Authorization'] = `Bearer ${config.gatewayToken}`;
+  }
+
+  return headers;
+}
+
+// The sender is recorded on the session so 🦀switch can tell whose it is
+async function createAgentSession(senderPubkeyHex) {
+  const response = await fetch(`${config.gatewayUrl}/sessions/new`, {
+    method: 'POST',
+    headers: gatewayHeaders(),
+    body: JSON.stringify({ channel: 'nostr', sender: senderPubkeyHex }),
+    signal: AbortSignal.timeout(10000)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Session creation failed: HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  const sessionKey = data.sessionKey || data.key || data.id;
+
+  if (!sessionKey) {
+    throw new Error('Gateway did not return a session key');
+  }
+
+  return sessionKey;
+}
+
+async function getAgentSessionKey(senderPubkeyHex) {
+  let sessionKey = getActiveSessionKey(senderPubkeyHex);
+
+  if (!sessionKey) {
+    sessionKey = await createAgentSession(senderPubkeyHex);
+    bindSession(senderPubkeyHex, sessionKey);
+    log.info(`  🧵 Opened agent session ${sessionKey} for ${nip19.npubEncode(senderPubkeyHex).substring(0, 20)}...`);
+  }
+
+  return sessionKey;
+}
+
+// Collect the agent's answer from either a JSON body or a server-sent event stream
+async function readAgentReply(response) {
+  const contentType = response.headers.get('content-type') || '';
+
+  if (!contentType.includes('text/event-stream')) {
+    const data = await response.json();
+    return data.reply || data.content || data.text || data.message || '';
+  }
+
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let reply = '';
+  let done = false;
+
+  const handleLine = (line) => {
+    if (!line.startsWith('data:')) {
+      return;
+    }
+
+    const payload = line.slice(5).trim();
+    if (!payload) {
+      return;
+    }
+
+    if (payload === '[DONE]') {
+      done = true;
+      return;
+    }
+
+    try {
+      const data = JSON.parse(payload);
+      if (data.reply) {
+        reply = data.reply; // Final event carries the full answer
+      } else {
+        reply += data.delta || data.text || data.content || '';
+      }
+    } catch (error) {
+      reply += payload;
+    }
+  };
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+
+    if (done) {
+      return reply;
+    }
+  }
+
+  handleLine(buffer);
+  return reply;
+}
+
+async function forwardToAgent(message, senderPubkeyHex, isRetry = false) {
+  const sessionKey = await getAgentSessionKey(senderPubkeyHex);
+
+  try {
+    const response = await fetch(`${config.gatewayUrl}/sessions/${encodeURIComponent(sessionKey)}/messages`, {
+      method: 'POST',
+      headers: gatewayHeaders({ 'Accept': 'text/event-stream, application/json' }),
+      body: JSON.stringify({
+        role: 'user',
+        content: message,
+        channel: 'nostr',
+        sender: nip19.npubEncode(senderPubkeyHex),
+        stream: true
+      }),
+      signal: AbortSignal.timeout(config.agent.timeoutMs)
+    });
+
+    // Session disappeared (e.g. gateway restarted): open a fresh one once
+    if (response.status === 404 && !isRetry) {
+      log.info(`  ℹ️  Agent session ${sessionKey} not found, opening a new one...`);
+      unbindSession(senderPubkeyHex, sessionKey);
+      return forwardToAgent(message, senderPubkeyHex, true);
+    }
+
+    if (!response.ok) {
+      throw new Error(`Gateway returned HTTP ${response.status}`);
+    }
+
+    return await readAgentReply(response);
+  } catch (error) {
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+      throw new Error(`The agent did not answer within ${Math.round(config.agent.timeoutMs / 1000)} seconds.`);
+    }
+    throw new Error(`Failed to reach OpenClaw agent: ${error.message}`);
+  }
+}
+
+// ============================================================================
+// INBOX RELAY DISCOVERY (kind 10050 / NIP-65)
+// ============================================================================
+
+// Created in main() once the pool exists
+let inboxRelayCache = null;
+
+function createInboxRelayCache(pool) {
+  const { lookupRelays, ttlMs, maxPerRecipient, allowInsecure } = config.inboxRelays;
+
+  return new InboxRelayCache({
+    ttlMs,
+    missTtlMs: INBOX_RELAY_MISS_TTL_MS,
+    maxRelays: maxPerRecipient,
+    allowInsecure,
+    lookup: pubkey => pool.querySync(
+      [...new Set([...config.relays, ...lookupRelays])],
+      { kinds: [KIND_DM_RELAYS, KIND_RELAY_LIST], authors: [pubkey] },
+      { maxWait: INBOX_RELAY_LOOKUP_TIMEOUT_MS }
+    )
+  });
+}
+
+// Our relays plus the recipient's inbox relays; a failed lookup falls back to ours
+async function getRecipientRelays(recipientPubkeyHex) {
+  if (!inboxRelayCache || !config.inboxRelays.enabled) {
+    return config.relays;
+  }
+
+  try {
+    const { relays, source } = await inboxRelayCache.get(recipientPubkeyHex);
+    const extra = relays.filter(url => !config.relays.includes(url));
+
+    if (extra.length > 0) {
+      log.debug(`  📬 Adding ${extra.length} inbox relay(s) from ${source}`, { relays: extra });
+    }
+
+    return [...config.relays, ...extra];
+  } catch (error) {
+    log.warn(`  ⚠️  Inbox relay lookup failed, using our relays: ${error.message}`);
+    return config.relays;
+  }
+}
+
+// Relays we publish to only because they are a recipient's inbox relays
+function isConfiguredRelay(relayUrl) {
+  return config.relays.includes(relayUrl) || config.inboxRelays.lookupRelays.includes(relayUrl);
+}
+
+const inboxRelayUsers = new Map(); // url -> publishes in flight
+
+// Run a publish and then close the connections it opened to relays we do not
+// use otherwise, so recipients' inbox relays do not stay in the pool for good.
+// A relay still used by another publish is closed when that one ends.
+async function withInboxRelays(pool, relays, task) {
+  const inboxRelays = [...new Set(relays)].filter(url => !isConfiguredRelay(url));
+  for (const url of inboxRelays) {
+    inboxRelayUsers.set(url, (inboxRelayUsers.get(url) || 0) + 1);
+  }
+
+  try {
+    return await task();
+  } finally {
+    const idle = inboxRelays.filter(url => {
+      const users = inboxRelayUsers.get(url) - 1;
+      if (users > 0) {
+        inboxRelayUsers.set(url, users);
+        return false;
+      }
+      inboxRelayUsers.delete(url);
+      return !isConfiguredRelay(url); // A reload may have made it one of ours meanwhile
+    });
+
+    if (idle.length > 0) {
+      pool.close(idle);
+      // A closed breaker holds nothing a new one would not; open ones are kept until they close
+      for (const url of idle) {
+        if (relayBreakers.get(url)?.state === BREAKER_STATES.CLOSED) {
+          relayBreakers.delete(url);
+        }
+      }
+    }
+  }
+}
+
+// Tell clients where to reach us: a kind 10050 listing the relays we subscribe to,
+// published to those relays and to the lookup relays other clients query
+async function publishOwnDmRelayList(pool) {
+  if (!config.inboxRelays.publishOwn) {
+    return;
+  }
+
+  const event = finalizeEvent(buildDmRelayListTemplate(config.relays), PRIVATE_KEY);
+  const targets = [...new Set([...config.relays, ...config.inboxRelays.lookupRelays])];
+
+  try {
+    const result = await publishWithRetry(pool, event, targets, { quorum: 1 });
+    log.info(`  📬 Published DM relay list (kind ${KIND_DM_RELAYS}) to ${result.accepted.length}/${targets.length} relays`);
+  } catch (error) {
+    log.warn(`  ⚠️  Failed to publish DM relay list: ${error.message}`);
+  }
+}
+
+// ============================================================================
+// PROFILE (kind 0)
+// ============================================================================
+
+// Hash of the last profile content relays accepted, so unchanged profiles are not republished
+const PROFILE_FILE = 'profile.json';
+
+async function publishProfile(pool) {
+  const { metadata, skipped } = buildProfileMetadata(config.profile);
+
+  for (const key of skipped) {
+    log.warn(`  ⚠️  Ignoring invalid profile.${key}`);
+  }
+
+  if (!metadata) {
+    return;
+  }
+
+  const { hash, template } = buildProfileEvent(metadata);
+  const published = loadStateFile(PROFILE_FILE, {});
+  if (published.hash === hash) {
+    log.debug(`  👤 Profile unchanged (${hash.substring(0, 8)}), not republishing`);
+    return;
+  }
+
+  const event = finalizeEvent(template, PRIVATE_KEY);
+  const targets = [...new Set([...config.relays, ...config.inboxRelays.lookupRelays])];
+
+  try {
+    const result = await publishWithRetry(pool, event, targets, { quorum: 1 });
+    saveStateFile(PROFILE_FILE, { hash, eventId: event.id, publishedAt: new Date().toISOString() });
+    log.info(`  👤 Published profile (kind ${KIND_METADATA}) to ${result.accepted.length}/${targets.length} relays`);
+  } catch (error) {
+    log.warn(`  ⚠️  Failed to publish profile, will retry on next start or reload: ${error.message}`);
+  }
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+function jitter() {
+  return Math.floor(Math.random() * 2 * JITTER_MS) - JITTER_MS;
+}
+
+function getRelayBreaker(relayUrl) {
+  let breaker = relayBreakers.get(relayUrl);
+  if (!breaker) {
+    breaker = new RelayCircuitBreaker({
+      maxFailures: MAX_CONSECUTIVE_FAILURES,
+      baseOpenMs: RELAY_BREAKER_BASE_OPEN_MS,
+      maxOpenMs: RELAY_BREAKER_MAX_OPEN_MS,
+      blockedOpenMs: RELAY_BLOCKED_OPEN_MS
+    });
+    relayBreakers.set(relayUrl, breaker);
+  }
+  return breaker;
+}
+
+// Publish to one relay and wait for its OK message; never throws
+async function publishToRelay(pool, relayUrl, event) {
+  const startedAt = Date.now();
+  const breaker = getRelayBreaker(relayUrl);
+
+  try {
+    const reason = await pool.publish([relayUrl], event)[0];
+    const latencyMs = Date.now() - startedAt;
+
+    breaker.recordSuccess();
+    recordRelayPublish(relayUrl, latencyMs);
+    log.debug(`  ✓ ${relayUrl} accepted ${event.id.substring(0, 8)} (${latencyMs}ms)`);
+
+    return { ok: true, reason: reason || '', latencyMs };
+  } catch (error) {
+    const reason = error instanceof Error ? error.message : String(error);
+    const kind = breaker.recordFailure(reason);
+
+    recordRelayPublish(relayUrl, Date.now() - startedAt, reason);
+    log.warn(`  ✗ ${relayUrl}: ${reason}`);
+
+    if (breaker.state === BREAKER_STATES.OPEN) {
+      log.warn(`  🔌 ${relayUrl} circuit open (${kind}) until ${new Date(breaker.openUntil).toISOString()}`);
+    }
+
+    return { ok: false, reason, kind, latencyMs: Date.now() - startedAt };
+  }
+}
+
+// Publish an event until at least `quorum` relays have accepted it with an OK message.
+// Relays that already accepted it are not asked again, relays that blocked us are
+// dropped, and relays with an open circuit breaker are skipped. Resolves with
+// { eventId, accepted, quorum, results }; when the quorum is not reached it throws
+// an error carrying the same object as error.result.
+async function publishWithRetry(pool, event, relays, options = {}) {
+  const maxRetries = options.maxRetries || MAX_RETRIES;
+  const targets = [...new Set(relays)];
+  const quorum = Math.min(options.quorum || config.publish.quorum, targets.length);
+  const results = {}; // url -> last outcome
+  const accepted = new Set();
+
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    const pending = targets.filter(url =>
+      !accepted.has(url) &&
+      results[url]?.kind !== FAILURE_KINDS.BLOCKED &&
+      getRelayBreaker(url).canAttempt()
+    );
+
+    const outcomes = await Promise.all(pending.map(url => publishToRelay(pool, url, event)));
+    outcomes.forEach((outcome, index) => {
+      results[pending[index]] = outcome;
+      if (outcome.ok) {
+        accepted.add(pending[index]);
+      }
+    });
+
+    if (accepted.size >= quorum) {
+      break;
+    }
+
+    if (attempt < maxRetries - 1) {
+      const backoffMs = Math.min(
+        BASE_BACKOFF_MS * Math.pow(2, attempt),
+        MAX_BACKOFF_MS
+      ) + jitter();
+
+      log.info(`  ⏳ ${accepted.size}/${quorum} relays accepted, retry ${attempt + 1}/${maxRetries - 1} in ${(backoffMs / 1000).toFixed(1)}s...`);
+      await new Promise(resolve => setTimeout(resolve, backoffMs));
+    }
+  }
+
+  const result = { eventId: event.id, accepted: Array.from(accepted), quorum, results };
+  log.info(`  📡 Published to ${accepted.size}/${targets.length} relays (quorum ${quorum})`);
+
+  if (accepted.size < quorum) {
+    const failures = targets
+      .filter(url => !accepted.has(url))
+      .map(url => `${url}: ${results[url] ? results[url].reason : 'skipped, circuit open'}`);
+    const error = new Error(`Only ${accepted.size} of ${quorum} required relays accepted the event (${failures.join('; ')})`);
+    error.result = result;
+    throw error;
+  }
+
+  return result;
+}
+
+// Publish a signed DM to the recipient's relays. If the quorum is not reached the
+// event goes to the outbox for later retries, and the error carries it as error.queued.
+// With queueOnly it goes straight to the outbox, behind the recipient's earlier items.
+async function publishDirectMessage(pool, recipientPubkeyHex, event, label, options = {}) {
+  const relays = await getRecipientRelays(recipientPubkeyHex);
+
+  if (options.queueOnly) {
+    const error = new Error('Queued behind an earlier part that is waiting for a retry');
+    error.queued = outbox.add({
+      recipient: recipientPubkeyHex,
+      event,
+      relays: [...new Set(relays)],
+      quorum: config.publish.quorum,
+      label,
+      lastError: error.message,
+      attempts: 0
+    });
+    saveOutbox();
+    throw error;
+  }
+
+  try {
+    return await withInboxRelays(pool, relays, () => publishWithRetry(pool, event, relays));
+  } catch (error) {
+    if (error.result) {
+      error.queued = outbox.add({
+        recipient: recipientPubkeyHex,
+        event,
+        relays: [...new Set(relays)],
+        accepted: error.result.accepted,
+        quorum: error.result.quorum,
+        label,
+        lastError: error.message
+      });
+      saveOutbox();
+    }
+    throw error;
+  }
+}
+
+async function sendDirectMessage(pool, recipientPubkeyHex, message, options = {}) {
+  const scheme = options.scheme || resolveReplyScheme(recipientPubkeyHex);
+  const label = options.label || 'reply';
+
+  // NIP-17: gift-wrapped kind 14, one copy for the recipient and one for us
+  if (scheme === DM_SCHEMES.NIP17) {
+    const [recipientWrap, selfWrap] = wrapPrivateDM(PRIVATE_KEY, recipientPubkeyHex, message, { replyToId: options.replyTo });
+    const result = await publishArchivedMessage(pool, recipientPubkeyHex, recipientWrap, { message, scheme, label, queueOnly: options.queueOnly });
+
+    // Our own copy only matters for history, so it must not fail the send
+    try {
+      await publishWithRetry(pool, selfWrap, config.relays);
+    } catch (error) {
+      log.warn(`  ⚠️  Failed to store our copy of the DM: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  const encryptedContent = await encryptDM(message, PRIVATE_KEY, recipientPubkeyHex, scheme);
+
+  const event = finalizeEvent({
+    kind: 4,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [['p', recipientPubkeyHex]],
+    content: encryptedContent
+  }, PRIVATE_KEY);
+
+  return publishArchivedMessage(pool, recipientPubkeyHex, event, { message, scheme, label, queueOnly: options.queueOnly });
+}
+
+// Publish and archive a DM; a reply queued in the outbox is archived too, since it is still going out
+async function publishArchivedMessage(pool, recipientPubkeyHex, event, { message, scheme, label, queueOnly }) {
+  const record = { id: event.id, direction: 'out', scheme, message, label };
+
+  try {
+    const result = await publishDirectMessage(pool, recipientPubkeyHex, event, label, { queueOnly });
+    archiveMessage(recipientPubkeyHex, record);
+    return result;
+  } catch (error) {
+    if (error.queued) {
+      archiveMessage(recipientPubkeyHex, { ...record, label: `${label} (queued)` });
+    }
+    throw error;
+  }
+}
+
+// ============================================================================
+// OUTBOX RETRIES
+// ============================================================================
+
+let outboxRunning = false;
+
+// Retry queued replies that are due, one attempt each, and expire the ones
+// that ran out of time. Runs on an interval; overlapping runs are skipped.
+async function processOutbox(pool) {
+  if (outboxRunning) {
+    return;
+  }
+  outboxRunning = true;
+
+  let changed = false;
+  try {
+    for (const item of outbox.expire()) {
+      changed = true;
+      log.warn(`  ⌛ Gave up on ${item.label} ${item.id.substring(0, 8)} after ${item.attempts} attempts: ${item.lastError}`);
+    }
+
+    // A recipient's items go out in order, so the first one that fails holds back the rest
+    const stalled = new Set();
+    for (const item of outbox.due()) {
+      if (stalled.has(item.recipient)) {
+        continue;
+      }
+      const { relays, quorum } = outbox.remaining(item);
+      let outcome;
+
+      try {
+        const result = await withInboxRelays(pool, relays, () => publishWithRetry(pool, item.event, relays, { maxRetries: 1, quorum }));
+        outcome = { accepted: result.accepted };
+      } catch (error) {
+        outcome = { accepted: error.result ? error.result.accepted : [], error: error.message };
+      }
+
+      outbox.recordAttempt(item, outcome);
+      changed = true;
+
+      if (item.status === OUTBOX_STATUS.DELIVERED) {
+        log.info(`  📬 Delivered queued ${item.label} ${item.id.substring(0, 8)} after ${item.attempts} attempts`);
+      } else {
+        stalled.add(item.recipient);
+        log.info(`  📥 Queued ${item.label} ${item.id.substring(0, 8)} still ${item.status}, next retry ${new Date(item.nextAttemptAt).toISOString()}`);
+      }
+    }
+
+    if (outbox.prune() > 0) {
+      changed = true;
+    }
+  } finally {
+    outboxRunning = false;
+    if (changed) {
+      saveOutbox();
+    }
+  }
+}
+
+function isAutoReplyTrigger(message) {
+  const lower = message.toLowerCase().trim();
+
+  // With the agent attached, only a bare trigger word gets the canned reply;
+  // everything else is a conversation with the agent
+  if (config.agent.enabled) {
+    const bare = lower.replace(/[\s!?.]+$/, '');
+    return AUTO_REPLY_TRIGGERS.some(trigger => bare === trigger.toLowerCase());
+  }
+
+  return AUTO_REPLY_TRIGGERS.some(trigger => lower.includes(trigger.toLowerCase()));
+}
+
+function isSenderAllowed(senderPubkeyHex) {
+  if (config.allowedSenders.includes('*')) {
+    return true; // Allow anyone
+  }
+  if (config.allowedSenders.includes(senderPubkeyHex)) {
+    return true;
+  }
+  return config.dmPolicy === 'pairing' && isPairedSender(senderPubkeyHex);
+}
+
+function getConversationState(senderPubkeyHex) {
   let state = senderConversations.get(senderPubkeyHex);
 
-  if (!state) {
-    state = {
-      lastReplyTime: null,
-      conversationStart: null,
-      messageCount: 0,
-      taskStatus: null
+  if (!state) {
+    state = {
+      lastReplyTime: null,
+      conversationStart: null,
+      messageCount: 0,
+      taskStatus: null
+    };
+    senderConversations.set(senderPubkeyHex, state);
+  }
+
+  if (state.lastReplyTime && (Date.now() - state.lastReplyTime > CONVERSATION_TIMEOUT_MS)) {
+    // Reset conversation state after timeout
+    state.lastReplyTime = null;
+    state.conversationStart = null;
+    state.messageCount = 0;
+    log.info(`  🔄 Conversation timed out for ${nip19.npubEncode(senderPubkeyHex).substring(0, 20)}...`);
+  }
+
+  return state;
+}
+
+function shouldSendAutoReply(eventId, senderPubkeyHex) {
+  // Check if already replied to this specific event
+  if (repliedEvents.has(eventId)) {
+    log.info(`  ℹ️  Already replied to this event`);
+    return false;
+  }
+
+  // Check conversation state
+  const state = getConversationState(senderPubkeyHex);
+
+  // If within conversation window, only reply if it's first message of a new conversation
+  if (state.lastReplyTime) {
+    const timeSinceLastReply = Date.now() - state.lastReplyTime;
+    if (timeSinceLastReply < CONVERSATION_TIMEOUT_MS) {
+      log.info(`  ⏳ Active conversation, skipping duplicate auto-reply`);
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// Same auth and timeout as the gateway watcher, so /readyz and notifications agree
+async function checkOpenClawStatus() {
+  try {
+    const response = await gatewayFetch('/status', {
+      method: 'GET',
+      signal: AbortSignal.timeout(GATEWAY_POLL_TIMEOUT_MS)
+    });
+
+    if (response.ok) {
+      const data = await response.json();
+      const hasActiveTask = data.activeAgents && data.activeAgents.length > 0;
+      return {
+        online: true,
+        hasActiveTask,
+        agentCount: data.activeAgents?.length || 0
+      };
+    } else {
+      return { online: false, error: `HTTP ${response.status}` };
+    }
+  } catch (error) {
+    return { online: false, error: error.message };
+  }
+}
+
+// ============================================================================
+// GATEWAY NOTIFICATIONS
+// ============================================================================
+
+// Polls /status and /sessions and DMs subscribed operators when something
+// changes (see lib/gateway-watcher.js for the events)
+
+// senderPubkeyHex -> { topics: ['gateway', 'tasks', 'errors'], mutedUntil, subscribedAt }
+const SUBSCRIPTIONS_FILE = 'subscriptions.json';
+const notifySubscriptions = new Map(Object.entries(loadStateFile(SUBSCRIPTIONS_FILE, {})));
+
+function saveSubscriptions() {
+  saveStateFile(SUBSCRIPTIONS_FILE, Object.fromEntries(notifySubscriptions));
+}
+
+// null removes the subscription
+function setSubscription(senderPubkeyHex, subscription) {
+  if (subscription) {
+    notifySubscriptions.set(senderPubkeyHex, subscription);
+  } else {
+    notifySubscriptions.delete(senderPubkeyHex);
+  }
+  saveSubscriptions();
+}
+
+const gatewayWatcher = new GatewayWatcher({ offlineAfter: config.notifications.offlineAfterFailures });
+let gatewayPollTimer = null;
+let gatewayPolling = false;
+
+async function fetchGatewayJson(pathname) {
+  const response = await gatewayFetch(pathname, {
+    method: 'GET',
+    signal: AbortSignal.timeout(GATEWAY_POLL_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`${pathname} returned HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+async function notifySubscribers(pool, event) {
+  const topic = topicOf(event.type);
+  const message = formatGatewayEvent(event);
+  const now = Date.now();
+
+  for (const [pubkeyHex, subscription] of notifySubscriptions.entries()) {
+    if (!subscription.topics.includes(topic) || (subscription.mutedUntil && subscription.mutedUntil > now)) {
+      continue;
+    }
+
+    // Access may have been revoked since they subscribed
+    if (!isSenderAllowed(pubkeyHex) || !roleAllows(getSenderRole(pubkeyHex), NOTIFY_ROLE)) {
+      log.debug(`  ⏭️  Not notifying ${nip19.npubEncode(pubkeyHex).substring(0, 20)}... (no longer allowed)`);
+      continue;
+    }
+
+    try {
+      await sendDirectMessage(pool, pubkeyHex, message, { label: 'notification' });
+      stats.notificationsSent++;
+    } catch (error) {
+      log.error(`  ✗ Failed to notify ${nip19.npubEncode(pubkeyHex).substring(0, 20)}...${error.queued ? ' (queued for retry)' : ''}: ${error.message}`);
+    }
+  }
+}
+
+async function pollGateway(pool) {
+  if (gatewayPolling) {
+    return;
+  }
+  gatewayPolling = true;
+
+  try {
+    let events;
+    try {
+      const [statusData, sessionsData] = await Promise.all([fetchGatewayJson('/status'), fetchGatewayJson('/sessions')]);
+      events = gatewayWatcher.recordSnapshot(statusData, sessionsData);
+    } catch (error) {
+      log.debug(`  Gateway poll failed: ${error.message}`);
+      events = gatewayWatcher.recordFailure(error.message);
+    }
+
+    for (const event of events) {
+      log.info(`\n🔔 ${formatGatewayEvent(event)}`);
+      await notifySubscribers(pool, event);
+    }
+  } catch (error) {
+    log.error(`✗ Error handling gateway events: ${error.message}`);
+  } finally {
+    gatewayPolling = false;
+  }
+}
+
+function stopGatewayWatcher() {
+  clearInterval(gatewayPollTimer);
+  gatewayPollTimer = null;
+}
+
+function startGatewayWatcher(pool) {
+  stopGatewayWatcher();
+  if (!config.notifications.enabled) {
+    return;
+  }
+
+  gatewayWatcher.offlineAfter = config.notifications.offlineAfterFailures;
+  pollGateway(pool);
+  gatewayPollTimer = setInterval(() => pollGateway(pool), config.notifications.pollIntervalMs);
+}
+
+// ============================================================================
+// MEMORY MANAGEMENT
+// ============================================================================
+
+/**
+ * Clean up old state to prevent memory leaks
+ * Should be called periodically (e.g., every 5 minutes)
+ */
+function cleanupOldState() {
+  const now = Date.now();
+  const cleanupThreshold = 24 * 60 * 60 * 1000; // 24 hours
+
+  // Expire processed/replied event IDs by the events' created_at
+  const pruned = stateStore.prune();
+  if (pruned.processed > 0 || pruned.replied > 0) {
+    log.info(`  🧹 Expired ${pruned.processed} processed and ${pruned.replied} replied event IDs`);
+  }
+
+  // Clean up old conversation state
+  let conversationsCleanedCount = 0;
+  for (const [pubkey, state] of senderConversations.entries()) {
+    const lastCommandTime = Math.max(0, ...Object.values(state.lastCommandTime || {}));
+    const lastActivity = Math.max(state.lastReplyTime || 0, lastCommandTime);
+    if (!lastActivity) {
+      continue; // No activity recorded yet, keep
+    }
+
+    const timeSinceLastReply = now - lastActivity;
+    if (timeSinceLastReply > cleanupThreshold) {
+      senderConversations.delete(pubkey);
+      conversationsCleanedCount++;
+    }
+  }
+
+  // Drop confirmation codes nobody used
+  prunePendingConfirmations(now);
+
+  // Forget expired inbox relay lookups
+  if (inboxRelayCache) {
+    inboxRelayCache.prune(now);
+  }
+
+  // Clean up old command cooldowns
+  for (const [command, lastExecuted] of commandCooldowns.entries()) {
+    const timeSinceExec = now - lastExecuted;
+    const cooldownTime = getCommandCooldown(command);
+    if (timeSinceExec > cooldownTime * 10) { // 10x cooldown has passed
+      commandCooldowns.delete(command);
+    }
+  }
+
+  if (conversationsCleanedCount > 0) {
+    log.info(`  🧹 Cleanup: ${conversationsCleanedCount} conversations cleaned`);
+  }
+
+  saveState();
+}
+
+// ============================================================================
+// RELAY SUBSCRIPTIONS
+// ============================================================================
+
+// Per-relay since cursors (lib/relay-cursors.js); without a saved cursor a
+// relay starts from now instead of replaying the whole history
+const CURSORS_FILE = 'cursors.json';
+const relayCursors = new RelayCursors(loadStateFile(CURSORS_FILE, {}), { startAt: Math.floor(startTime / 1000) });
+const relaySubscriptions = new Map();
+
+function getRelayCursor(relayUrl) {
+  return relayCursors.get(relayUrl);
+}
+
+function advanceRelayCursor(relayUrl, timestamp) {
+  relayCursors.advance(relayUrl, timestamp);
+}
+
+// Move the relay's cursor past a DM we accepted. Only kind 4 counts (gift wraps
+// are backdated), and only events that arrived live; catch-up events come in
+// any order. Events we drop must not move it, or anyone could move it for us.
+function acceptRelayCursor(event, context) {
+  if (context && context.live && event.kind === 4) {
+    advanceRelayCursor(context.relayUrl, event.created_at);
+  }
+}
+
+// A relay added by a reload starts where the relays already in use are, not at
+// startTime (or a cursor saved long ago), which could be weeks of DMs back
+function seedRelayCursor(relayUrl) {
+  relayCursors.seed(relayUrl, Array.from(relaySubscriptions.keys()));
+}
+
+function saveRelayCursors() {
+  if (!relayCursors.dirty) {
+    return;
+  }
+  saveStateFile(CURSORS_FILE, relayCursors.toJSON());
+  relayCursors.dirty = false;
+}
+
+// A live subscription delivers events as they are published, so a relay that
+// has reached EOSE and is still open is caught up to (almost) now
+function tickRelayCursors() {
+  const now = Math.floor(Date.now() / 1000);
+
+  for (const [relayUrl, subscription] of relaySubscriptions.entries()) {
+    if (subscription.live) {
+      advanceRelayCursor(relayUrl, now - CURSOR_LIVE_LAG_SECONDS);
+    }
+  }
+
+  saveRelayCursors();
+}
+
+function countLiveRelays() {
+  return Array.from(relaySubscriptions.values()).filter(subscription => subscription.live).length;
+}
+
+function buildDMFilters(cursor) {
+  const since = cursor - CURSOR_SLACK_SECONDS;
+
+  return [
+    {
+      kinds: [4],
+      // Pairing needs to hear from unknown senders too
+      authors: config.allowedSenders.includes('*') || config.dmPolicy === 'pairing' ? undefined : config.allowedSenders,
+      '#p': [MY_PUBKEY],
+      since
+    },
+    {
+      // NIP-17 gift wraps: the author is a random key, so the sender can only be
+      // checked after unwrapping, and created_at is backdated by up to two days
+      kinds: [KIND_GIFT_WRAP],
+      '#p': [MY_PUBKEY],
+      since: since - GIFT_WRAP_BACKDATE_SECONDS
+    }
+  ];
+}
+
+// Keep a long-lived subscription open on one relay, resubscribing from its
+// cursor with exponential backoff whenever the connection drops
+function subscribeRelay(pool, relayUrl, onEvent) {
+  const subscription = { live: false, closing: false, subs: [], attempts: 0, timer: null, generation: 0 };
+  relaySubscriptions.set(relayUrl, subscription);
+
+  // Callbacks of the old subscriptions are ignored from here on
+  const retire = () => {
+    subscription.generation++;
+    subscription.live = false;
+    closeSubscriptionHandles(subscription);
+  };
+
+  const reconnect = (reason) => {
+    if (subscription.closing || subscription.timer) {
+      return;
+    }
+
+    retire();
+
+    const delay = Math.min(RESUBSCRIBE_BASE_MS * Math.pow(2, subscription.attempts), RESUBSCRIBE_MAX_MS) + jitter();
+    subscription.attempts++;
+
+    relayHealth.set(relayUrl, { ...relayHealth.get(relayUrl), connected: false, lastError: reason });
+    log.info(`  🔌 ${relayUrl} subscription closed (${reason}), resubscribing in ${(delay / 1000).toFixed(1)}s...`);
+
+    subscription.timer = setTimeout(() => {
+      subscription.timer = null;
+      open();
+    }, delay);
+  };
+
+  const open = () => {
+    const cursor = getRelayCursor(relayUrl);
+    const generation = subscription.generation;
+    const isCurrent = () => generation === subscription.generation;
+    let pendingEose = 2;
+
+    subscription.subs = buildDMFilters(cursor).map(filter => pool.subscribe([relayUrl], filter, {
+      onevent: (event) => {
+        // The cursor only moves once the event is accepted (acceptRelayCursor)
+        onEvent(event, { relayUrl, cursor, live: subscription.live });
+      },
+      oneose: () => {
+        if (!isCurrent()) {
+          return;
+        }
+        pendingEose--;
+        if (pendingEose === 0) {
+          // Everything stored up to now has been delivered
+          subscription.live = true;
+          subscription.attempts = 0;
+          advanceRelayCursor(relayUrl, Math.floor(Date.now() / 1000) - CURSOR_LIVE_LAG_SECONDS);
+          relayHealth.set(relayUrl, { ...relayHealth.get(relayUrl), connected: true, lastConnected: Date.now(), lastError: null });
+          log.info(`  📡 ${relayUrl} caught up since ${new Date(cursor * 1000).toISOString()}, listening live`);
+        }
+      },
+      onclose: (reasons) => {
+        if (!isCurrent()) {
+          return;
+        }
+        // nostr-tools passes either strings or { url, reason } objects
+        const reason = (Array.isArray(reasons) ? reasons : [reasons])
+          .map(r => (r && typeof r === 'object' ? r.reason : r) || 'closed')
+          .join(', ');
+        reconnect(reason);
+      }
+    }));
+  };
+
+  // Resubscribe right away with fresh filters, e.g. after the allowlist changed
+  subscription.refresh = () => {
+    if (subscription.closing) {
+      return;
+    }
+    clearTimeout(subscription.timer);
+    subscription.timer = null;
+    retire();
+    open();
+  };
+
+  open();
+  return subscription;
+}
+
+function closeSubscriptionHandles(subscription) {
+  subscription.subs.forEach(sub => {
+    try {
+      sub.close();
+    } catch (e) {
+      // Already closed
+    }
+  });
+}
+
+function closeRelaySubscription(relayUrl) {
+  const subscription = relaySubscriptions.get(relayUrl);
+  if (!subscription) {
+    return;
+  }
+
+  subscription.closing = true;
+  clearTimeout(subscription.timer);
+  closeSubscriptionHandles(subscription);
+  relaySubscriptions.delete(relayUrl);
+}
+
+function closeRelaySubscriptions() {
+  for (const relayUrl of Array.from(relaySubscriptions.keys())) {
+    closeRelaySubscription(relayUrl);
+  }
+}
+
+// ============================================================================
+// CONTROL SERVER (/healthz, /readyz, /metrics, /state)
+// ============================================================================
+
+let controlServer = null;
+
+function getHealth() {
+  const liveRelays = countLiveRelays();
+
+  return {
+    ok: liveRelays > 0,
+    uptimeSeconds: Math.floor((Date.now() - startTime) / 1000),
+    relays: { live: liveRelays, total: config.relays.length }
+  };
+}
+
+async function getReadiness() {
+  const health = getHealth();
+  const gateway = await checkOpenClawStatus();
+
+  return {
+    ok: health.ok && gateway.online,
+    relays: health.relays,
+    gateway: { url: config.gatewayUrl, online: gateway.online, error: gateway.error || null }
+  };
+}
+
+// Configured relays, any we published to before a config change, and the
+// inbox relays of recipients as one entry
+function knownRelays() {
+  return [...new Set([...config.relays, ...relayPublishStats.keys()])];
+}
+
+function collectMetrics() {
+  const single = (name, help, type, value) => ({ name, help, type, samples: [{ value }] });
+  const perRelay = (valueOf, suffix) => knownRelays().map(url => ({ labels: { relay: url }, value: valueOf(url), suffix }));
+  const publishStats = url => relayPublishStats.get(url) || { published: 0, errors: 0, latencyMsSum: 0 };
+
+  return [
+    single('nostr_dm_uptime_seconds', 'Seconds since the daemon started', 'gauge', (Date.now() - startTime) / 1000),
+    single('nostr_dm_received_total', 'DMs received from allowed senders', 'counter', stats.dmsReceived),
+    single('nostr_dm_replies_sent_total', 'Replies sent (commands, auto-replies and agent answers)', 'counter', stats.repliesSent),
+    single('nostr_dm_commands_executed_total', 'Command replies sent', 'counter', stats.commandsExecuted),
+    single('nostr_dm_auto_replies_sent_total', 'Auto-replies sent', 'counter', stats.autoRepliesSent),
+    single('nostr_dm_agent_replies_sent_total', 'Agent answers relayed back', 'counter', stats.agentRepliesSent),
+    single('nostr_dm_decrypt_failures_total', 'DMs or gift wraps that could not be decrypted', 'counter', stats.decryptFailures),
+    single('nostr_dm_notifications_sent_total', 'Gateway notifications sent to subscribed operators', 'counter', stats.notificationsSent),
+    single('nostr_dm_gateway_online', 'Whether the last gateway polls succeeded (1) or not (0)', 'gauge', gatewayWatcher.online === false ? 0 : 1),
+    single('nostr_dm_active_conversations', 'Senders with tracked conversation state', 'gauge', senderConversations.size),
+    single('nostr_dm_processed_events', 'Event IDs remembered for deduplication', 'gauge', processedEvents.size),
+    {
+      name: 'nostr_dm_outbox_items',
+      help: 'Replies in the outbound queue by status',
+      type: 'gauge',
+      samples: Object.entries(outbox.counts()).map(([status, value]) => ({ labels: { status }, value }))
+    },
+    {
+      name: 'nostr_dm_relay_live',
+      help: 'Whether the relay subscription has reached EOSE and is live (1) or not (0)',
+      type: 'gauge',
+      samples: perRelay(url => (relaySubscriptions.get(url)?.live ? 1 : 0))
+    },
+    {
+      name: 'nostr_dm_relay_circuit_state',
+      help: 'Publish circuit breaker per relay: 0 closed, 1 half-open, 2 open',
+      type: 'gauge',
+      samples: perRelay(url => ['closed', 'half-open', 'open'].indexOf(relayBreakers.get(url)?.state || 'closed'))
+    },
+    {
+      name: 'nostr_dm_relay_publish_errors_total',
+      help: 'Failed publishes per relay',
+      type: 'counter',
+      samples: perRelay(url => publishStats(url).errors)
+    },
+    {
+      name: 'nostr_dm_relay_publish_latency_seconds',
+      help: 'Time until a relay accepted a published event',
+      type: 'summary',
+      samples: [
+        ...perRelay(url => publishStats(url).latencyMsSum / 1000, '_sum'),
+        ...perRelay(url => publishStats(url).published, '_count')
+      ]
+    }
+  ];
+}
+
+function collectState() {
+  const senders = {};
+  for (const [pubkey, state] of senderConversations.entries()) {
+    senders[nip19.npubEncode(pubkey)] = {
+      role: getSenderRole(pubkey),
+      activeSession: getActiveSessionKey(pubkey) || null,
+      pendingConfirmations: pendingConfirmations.get(pubkey)?.size || 0,
+      ...state
     };
-    senderConversations.set(senderPubkeyHex, state);
   }
 
-  if (state.lastReplyTime && (Date.now() - state.lastReplyTime > CONVERSATION_TIMEOUT_MS)) {
-    // Reset conversation state after timeout
-    state.lastReplyTime = null;
-    state.conversationStart = null;
-    state.messageCount = 0;
-    console.log(`  🔄 Conversation timed out for ${nip19.npubEncode(senderPubkeyHex).substring(0, 20)}...`);
+  const relays = {};
+  for (const url of knownRelays()) {
+    relays[url] = {
+      live: Boolean(relaySubscriptions.get(url)?.live),
+      cursor: relayCursors.has(url) || relaySubscriptions.has(url) ? getRelayCursor(url) : null,
+      health: relayHealth.get(url) || null,
+      publish: relayPublishStats.get(url) || null,
+      breaker: relayBreakers.get(url)?.toJSON() || null
+    };
   }
 
-  return state;
+  return {
+    pubkey: nip19.npubEncode(MY_PUBKEY),
+    uptimeSeconds: Math.floor((Date.now() - startTime) / 1000),
+    stats,
+    senders,
+    cooldowns: Object.fromEntries(commandCooldowns),
+    relays,
+    outbox: outbox.counts(),
+    archive: { enabled: config.archive.enabled, maxPerSender: config.archive.maxPerSender },
+    notifications: {
+      enabled: config.notifications.enabled,
+      subscribers: notifySubscriptions.size,
+      gateway: gatewayWatcher.toJSON()
+    },
+    inboxRelays: inboxRelayCache ? inboxRelayCache.toJSON() : {}
+  };
 }
 
-function shouldSendAutoReply(eventId, senderPubkeyHex) {
-  // Check if already replied to this specific event
-  if (repliedEvents.has(eventId)) {
-    console.log(`  ℹ️  Already replied to this event`);
-    return false;
+async function startControlServer() {
+  const { enabled, host, port } = config.http;
+  if (!enabled) {
+    return;
   }
 
-  // Check conversation state
-  const state = getConversationState(senderPubkeyHex);
-
-  // If within conversation window, only reply if it's first message of a new conversation
-  if (state.lastReplyTime) {
-    const timeSinceLastReply = Date.now() - state.lastReplyTime;
-    if (timeSinceLastReply < CONVERSATION_TIMEOUT_MS) {
-      console.log(`  ⏳ Active conversation, skipping duplicate auto-reply`);
-      return false;
-    }
+  if (!['127.0.0.1', '::1', 'localhost'].includes(host)) {
+    log.warn(`  ⚠️  Control server is bound to ${host}; /state exposes sender pubkeys, keep it off public interfaces`);
   }
 
-  return true;
-}
+  controlServer = new ControlServer({
+    host,
+    port,
+    health: getHealth,
+    readiness: getReadiness,
+    metrics: collectMetrics,
+    state: collectState
+  });
 
-async function checkOpenClawStatus() {
   try {
-    const response = await fetch('http://localhost:18789/status', {
-      method: 'GET',
-      signal: AbortSignal.timeout(5000) // 5 second timeout
-    });
-
-    if (response.ok) {
-      const data = await response.json();
-      const hasActiveTask = data.activeAgents && data.activeAgents.length > 0;
-      return {
-        online: true,
-        hasActiveTask,
-        agentCount: data.activeAgents?.length || 0
-      };
-    } else {
-      return { online: false, error: `HTTP ${response.status}` };
-    }
+    await controlServer.start();
+    log.info(`  ✓ Control server listening on http://${host}:${port} (/healthz, /readyz, /metrics, /state)`);
   } catch (error) {
-    return { online: false, error: error.message };
+    log.error(`  ✗ Control server failed to start: ${error.message}`);
+    controlServer = null;
   }
 }
 
 // ============================================================================
-// MEMORY MANAGEMENT
+// MAIN DAEMON LOGIC
 // ============================================================================
 
-/**
- * Clean up old state to prevent memory leaks
- * Should be called periodically (e.g., every 5 minutes)
- */
-function cleanupOldState() {
-  const now = Date.now();
-  const cleanupThreshold = 24 * 60 * 60 * 1000; // 24 hours
+// Counters for the periodic stats output
+const stats = {
+  dmsReceived: 0,
+  repliesSent: 0,
+  commandsExecuted: 0,
+  autoRepliesSent: 0,
+  agentRepliesSent: 0,
+  decryptFailures: 0,
+  notificationsSent: 0
+};
 
-  // Clean up processed events older than 24 hours
-  // Note: processedEvents is a Set, we can't easily clean by timestamp
-  // For now, we'll clear it entirely if it gets too large
-  const timeSinceStart = now - startTime;
-  if (timeSinceStart > cleanupThreshold && processedEvents.size > 10000) {
-    console.log(`  🧹 Cleaning up processed events (size: ${processedEvents.size})`);
-    processedEvents.clear();
+// Per-relay publish outcomes for /metrics. Recipients' inbox relays are counted
+// together under one label, so their number cannot grow the metrics without limit.
+const relayPublishStats = new Map(); // url -> { published, errors, latencyMsSum, lastError }
+const INBOX_RELAYS_LABEL = 'inbox-relays';
+
+function recordRelayPublish(relayUrl, latencyMs, errorReason = null) {
+  const key = isConfiguredRelay(relayUrl) ? relayUrl : INBOX_RELAYS_LABEL;
+  let entry = relayPublishStats.get(key);
+  if (!entry) {
+    entry = { published: 0, errors: 0, latencyMsSum: 0, lastError: null };
+    relayPublishStats.set(key, entry);
   }
 
-  // Clean up old conversation state
-  let conversationsCleanedCount = 0;
-  for (const [pubkey, state] of senderConversations.entries()) {
-    if (!state.lastReplyTime) {
-      continue; // Never replied, keep
-    }
+  if (errorReason !== null) {
+    entry.errors++;
+    entry.lastError = errorReason;
+  } else {
+    entry.published++;
+    entry.latencyMsSum += latencyMs;
+  }
+}
 
-    const timeSinceLastReply = now - state.lastReplyTime;
-    if (timeSinceLastReply > cleanupThreshold) {
-      senderConversations.delete(pubkey);
-      conversationsCleanedCount++;
-    }
+// Per-sender processing chains keep each sender's messages in order,
+// while different senders are handled concurrently
+const senderQueues = new Map();
+
+function enqueueForSender(senderPubkeyHex, task) {
+  const previous = senderQueues.get(senderPubkeyHex) || Promise.resolve();
+
+  const next = previous
+    .then(task)
+    .catch(error => log.error(`\n✗ Error processing DM: ${error.message}`))
+    .finally(() => {
+      if (senderQueues.get(senderPubkeyHex) === next) {
+        senderQueues.delete(senderPubkeyHex);
+      }
+    });
+
+  senderQueues.set(senderPubkeyHex, next);
+  return next;
+}
+
+// Deduplicate and unwrap an event as it arrives, then queue it behind the sender's earlier messages
+function handleIncomingEvent(pool, event, context) {
+  // Skip if already processed this event (same event from multiple relays)
+  if (processedEvents.has(event.id)) {
+    return;
   }
 
-  // Clean up old relay rate limits
-  for (const [url, rateLimit] of relayRateLimits.entries()) {
-    if (rateLimit && rateLimit.backoffUntil < now) {
-      relayRateLimits.delete(url);
-    }
+  // IDs are only remembered for the TTL, so an older event cannot be told apart
+  // from one handled before. After a long downtime the since-window reaches
+  // back that far; leave those events alone rather than answer them again.
+  if (processedEvents.isExpired(event.created_at)) {
+    log.debug(`  Skipping ${event.id.substring(0, 8)} from ${context.relayUrl}: older than the deduplication window`);
+    return;
   }
+  processedEvents.add(event.id, event.created_at);
+  scheduleStateSave();
 
-  // Clean up old command cooldowns
-  for (const [command, lastExecuted] of commandCooldowns.entries()) {
-    const timeSinceExec = now - lastExecuted;
-    const cooldownTime = COMMAND_COOLDOWNS[command] || 30000;
-    if (timeSinceExec > cooldownTime * 10) { // 10x cooldown has passed
-      commandCooldowns.delete(command);
+  let senderPubkeyHex = event.pubkey;
+  let rumor = null;
+
+  if (event.kind === KIND_GIFT_WRAP) {
+    try {
+      rumor = unwrapGiftWrap(event, PRIVATE_KEY);
+    } catch (unwrapError) {
+      stats.decryptFailures++;
+      log.error(`\n✗ Failed to unwrap gift wrap ${event.id}: ${unwrapError.message}`);
+      return;
     }
-  }
 
-  if (conversationsCleanedCount > 0) {
-    console.log(`  🧹 Cleanup: ${conversationsCleanedCount} conversations cleaned`);
+    // Our own copy of a reply we sent
+    if (rumor.pubkey === MY_PUBKEY) {
+      return;
+    }
+
+    // Wraps are fetched two days back because of their randomized timestamps;
+    // the rumor carries the real time, so skip what was handled before the cursor
+    if (rumor.created_at < context.cursor - CURSOR_SLACK_SECONDS) {
+      return;
+    }
+
+    senderPubkeyHex = rumor.pubkey;
+  } else if (event.pubkey === MY_PUBKEY) {
+    return;
   }
+
+  enqueueForSender(senderPubkeyHex, () => processDirectMessage(pool, event, rumor, senderPubkeyHex, context));
 }
 
-// ============================================================================
-// MAIN DAEMON LOGIC
-// ============================================================================
+async function processDirectMessage(pool, event, rumor, senderPubkeyHex, context) {
+  const senderNpub = nip19.npubEncode(senderPubkeyHex);
+  let inboundScheme = rumor ? DM_SCHEMES.NIP17 : detectKind4Scheme(event.content);
+  const replyOptions = {
+    scheme: resolveReplyScheme(senderPubkeyHex, inboundScheme),
+    replyTo: rumor ? rumor.id : null
+  };
+
+  // Check sender is allowed
+  if (!isSenderAllowed(senderPubkeyHex)) {
+    if (config.dmPolicy !== 'pairing') {
+      log.info(`\n📨 DM blocked from ${senderNpub.substring(0, 20)}... (not in allowlist)`);
+      return;
+    }
 
-async function main() {
-  const myPubkey = getPublicKey(PRIVATE_KEY_HEX);
-  const myNpub = nip19.npubEncode(myPubkey);
+    log.info(`\n📨 DM from unpaired sender ${senderNpub.substring(0, 20)}...`);
+    acceptRelayCursor(event, context);
+    const pairingNotice = handlePairingRequest(senderPubkeyHex);
 
-  console.log('=== NOSTR AUTO-REPLY DAEMON ===');
-  console.log(`Integrating with OpenClaw config system`);
-  console.log(`\nConfiguration:`);
-  console.log(`  My npub: ${myNpub}`);
-  console.log(`  Policy: ${config.dmPolicy}`);
-  console.log(`  Relays: ${config.relays.length}`);
-  console.log(`  Allowed senders: ${config.allowedSenders.includes('*') ? 'Anyone' : config.allowedSenders.length}`);
-  console.log(`  Conversation timeout: ${CONVERSATION_TIMEOUT_MS / 60000} minutes`);
-  console.log(`  Commands: 🦀status, 🦀current task, 🦀new session, 🦀restart, 🦀relays, 🦀help`);
+    if (pairingNotice) {
+      try {
+        await sendDirectMessage(pool, senderPubkeyHex, pairingNotice, { ...replyOptions, label: 'pairing notice' });
+        log.info(`  🔑 Pairing notice sent`);
+      } catch (publishError) {
+        log.error(`  ✗ Failed to send pairing notice${publishError.queued ? ' (queued for retry)' : ''}: ${publishError.message}`);
+      }
+    } else {
+      log.info(`  ⏭️  Pairing notice throttled`);
+    }
+    return;
+  }
 
-  console.log(`\nListening for DMs...`);
+  stats.dmsReceived++;
 
-  const pool = new SimplePool();
+  log.info(`\n📨 DM Received`);
+  log.info(`  From: ${senderNpub}`);
+  log.info(`  Time: ${new Date((rumor || event).created_at * 1000).toISOString()}`);
+  log.info(`  Event ID: ${event.id}`);
 
-  // Connect to relays
-  console.log(`\nConnecting to ${config.relays.length} relays...`);
-  for (const relay of config.relays) {
+  // NIP-17 content was decrypted while unwrapping; kind 4 is NIP-44 preferred, NIP-04 fallback
+  let message;
+  if (rumor) {
+    message = rumor.content;
+    log.info(`  🎁 NIP-17 private DM (gift wrap)`);
+    log.info('  💬 Decrypted', { message });
+  } else {
     try {
-      await pool.ensureRelay(relay);
-      console.log(`  ✓ ${relay}`);
-    } catch (error) {
-      console.error(`  ✗ ${relay}:`, error.message);
+      const decrypted = await decryptDM(event.content, PRIVATE_KEY, senderPubkeyHex);
+      message = decrypted.message;
+      // Trust the scheme that actually decrypted over the payload shape
+      inboundScheme = decrypted.scheme;
+      replyOptions.scheme = resolveReplyScheme(senderPubkeyHex, inboundScheme);
+      log.info('  💬 Decrypted', { message });
+      acceptRelayCursor(event, context);
+    } catch (decryptError) {
+      stats.decryptFailures++;
+      log.error(`  ✗ Decryption failed: ${decryptError.message}`);
+      return;
     }
   }
 
-  // Stats tracking
-  let totalDmsReceived = 0;
-  let totalRepliesSent = 0;
-  let commandsExecuted = 0;
-  let autoRepliesSent = 0;
-  let startTime = Date.now();
+  // Remember the sender's scheme for messages we start (e.g. notifications)
+  getConversationState(senderPubkeyHex).lastScheme = inboundScheme;
+
+  archiveMessage(senderPubkeyHex, {
+    id: rumor ? rumor.id : event.id,
+    direction: 'in',
+    createdAt: (rumor || event).created_at,
+    scheme: inboundScheme,
+    message
+  });
+  log.info(`  Scheme: ${SCHEME_LABELS[inboundScheme]} (reply: ${SCHEME_LABELS[replyOptions.scheme]})`);
+
+  let replyMessage = null;
+  let isCommand = false;
+  let isAutoReply = false;
+
+  // Check for commands first
+  const commandResult = await detectAndExecuteCommand(message, senderPubkeyHex);
+  if (commandResult) {
+    replyMessage = commandResult;
+    isCommand = true;
+    log.info(`  🎯 Command response prepared`);
+  }
 
-  // Main polling loop
-  setInterval(async () => {
-    try {
-      // Fetch DMs (kind:4) from relays
-      const events = await pool.querySync(
-        config.relays,
-        {
-          kinds: [4],
-          authors: ALLOWED_SENDERS.includes('*') ? undefined : ALLOWED_SENDERS,
-          '#p': [myPubkey]
-        }
-      );
+  // If no command, check for auto-reply triggers
+  if (!replyMessage && isAutoReplyTrigger(message)) {
+    log.info(`  🔄 Trigger detected, preparing auto-reply...`);
 
-      // Deduplicate events by ID (same event from multiple relays)
-      const uniqueEvents = new Map();
-      for (const event of events) {
-        if (!uniqueEvents.has(event.id)) {
-          uniqueEvents.set(event.id, event);
-        }
-      }
-      const dedupedEvents = Array.from(uniqueEvents.values());
+    // Check if we should send auto-reply (prevents duplicates)
+    if (shouldSendAutoReply(event.id, senderPubkeyHex)) {
+      // Check OpenClaw status
+      const status = await checkOpenClawStatus();
+      let statusMessage = '';
 
-      for (const event of dedupedEvents) {
-        // Skip if already processed this event
-        if (processedEvents.has(event.id)) {
-          continue;
+      if (status.online) {
+        if (status.hasActiveTask) {
+          statusMessage = `\n\n🔍 OpenClaw Status: Ready with ${status.agentCount} active agent(s)`;
+        } else {
+          statusMessage = `\n\n✅ OpenClaw Status: Ready and waiting`;
         }
-        processedEvents.add(event.id);
+      } else {
+        statusMessage = `\n\n⚠️ OpenClaw Status: Offline (${status.error})`;
+      }
 
-        const senderPubkeyHex = event.pubkey;
-        const senderNpub = nip19.npubEncode(senderPubkeyHex);
+      replyMessage = autoReplyMessage() + statusMessage;
+      isAutoReply = true;
+    }
+  }
 
-        // Check sender is allowed
-        if (!isSenderAllowed(senderPubkeyHex)) {
-          console.log(`\n📨 DM blocked from ${senderNpub.substring(0, 20)}... (not in allowlist)`);
-          continue;
-        }
+  // Anything else is a message for the agent
+  if (!replyMessage && config.agent.enabled) {
+    log.info(`  🤖 Forwarding to OpenClaw agent...`);
 
-        totalDmsReceived++;
+    try {
+      replyMessage = await forwardToAgent(message, senderPubkeyHex);
+      if (!replyMessage.trim()) {
+        replyMessage = '🤖 The agent finished without a reply.';
+      }
+      log.info(`  🤖 Agent replied (${replyMessage.length} chars)`);
+    } catch (agentError) {
+      log.error(`  ✗ ${agentError.message}`);
+      replyMessage = `❌ Error: ${agentError.message}`;
+    }
+  }
 
-        console.log(`\n📨 DM Received`);
-        console.log(`  From: ${senderNpub}`);
-        console.log(`  Time: ${new Date(event.created_at * 1000).toISOString()}`);
-        console.log(`  Event ID: ${event.id}`);
+  // Send reply if we have one
+  if (replyMessage) {
+    const { maxChunkBytes, numbered, stripNoise, chunkDelayMs } = config.replies;
+    let chunks = formatReply(replyMessage, { maxBytes: maxChunkBytes, numbered, stripNoise });
+    if (chunks.length === 0) {
+      chunks = ['ℹ️ (empty output)'];
+    }
 
-        // Decrypt DM (NIP-44 preferred, NIP-04 fallback)
-        let message;
-        try {
-          message = await decryptDM(event.content, PRIVATE_KEY_HEX, senderPubkeyHex);
-          console.log(`  Message: ${message}`);
-        } catch (decryptError) {
-          console.error(`  ✗ Decryption failed: ${decryptError.message}`);
-          continue;
-        }
+    log.info(`\n📤 Sending reply to ${senderNpub.substring(0, 20)}...${chunks.length > 1 ? ` (${chunks.length} parts)` : ''}`);
 
-        let replyMessage = null;
-        let isCommand = false;
+    const label = isCommand ? 'command reply' : isAutoReply ? 'auto-reply' : 'agent reply';
+    let queuedParts = 0;
 
-        // Check for commands first
-        const commandResult = await detectAndExecuteCommand(message, senderPubkeyHex);
-        if (commandResult) {
-          replyMessage = commandResult;
-          isCommand = true;
-          console.log(`  🎯 Command response prepared`);
+    try {
+      // A part that misses its quorum is queued in the outbox, and every part
+      // after it goes straight into the outbox behind it rather than to the
+      // relays, so none of them can arrive before it
+      for (const [index, chunk] of chunks.entries()) {
+        // A short pause keeps the parts in order on relays and in clients
+        if (index > 0 && chunkDelayMs > 0 && queuedParts === 0) {
+          await new Promise(resolve => setTimeout(resolve, chunkDelayMs));
         }
 
-        // If no command, check for auto-reply triggers
-        if (!replyMessage) {
-          const hasTrigger = AUTO_REPLY_TRIGGERS.some(trigger =>
-            message.toLowerCase().includes(trigger.toLowerCase())
-          );
-
-          if (hasTrigger) {
-            console.log(`  🔄 Trigger detected, preparing auto-reply...`);
-
-            // Check if we should send auto-reply (prevents duplicates)
-            if (!shouldSendAutoReply(event.id, senderPubkeyHex)) {
-              continue;
-            }
-
-            // Check OpenClaw status
-            const status = await checkOpenClawStatus();
-            let statusMessage = '';
-
-            if (status.online) {
-              if (status.hasActiveTask) {
-                statusMessage = `\n\n🔍 OpenClaw Status: Ready with ${status.agentCount} active agent(s)`;
-              } else {
-                statusMessage = `\n\n✅ OpenClaw Status: Ready and waiting`;
-              }
-            } else {
-              statusMessage = `\n\n⚠️ OpenClaw Status: Offline (${status.error})`;
-            }
-
-            replyMessage = AUTO_REPLY_MESSAGE + statusMessage;
+        try {
+          await sendDirectMessage(pool, senderPubkeyHex, chunk, { ...replyOptions, label, queueOnly: queuedParts > 0 });
+        } catch (error) {
+          if (!error.queued) {
+            throw error;
           }
+          queuedParts++;
+          log.warn(`  📥 Queued ${error.queued.id.substring(0, 8)} for retry: ${error.message}`);
         }
+      }
 
-        // Send reply if we have one
-        if (replyMessage) {
-          // Encrypt with NIP-44 preferred, NIP-04 fallback
-          const encryptedContent = await encryptDM(replyMessage, PRIVATE_KEY_HEX, senderPubkeyHex);
-
-          const replyEvent = finalizeEvent({
-            kind: 4,
-            created_at: Math.floor(Date.now() / 1000),
-            tags: [['p', senderPubkeyHex]],
-            content: encryptedContent
-          }, PRIVATE_KEY_HEX);
-
-          console.log(`\n📤 Sending reply to ${senderNpub.substring(0, 20)}...`);
-
-          try {
-            await publishWithRetry(pool, replyEvent, config.relays);
-            console.log(`  ✅ Reply sent successfully!`);
-            console.log(`   Content: ${replyMessage.substring(0, 100)}${replyMessage.length > 100 ? '...' : ''}`);
-
-            // Update state
-            if (isCommand) {
-              commandsExecuted++;
-            } else {
-              autoRepliesSent++;
-              // Update conversation state for auto-replies
-              const state = getConversationState(senderPubkeyHex);
-              state.lastReplyTime = Date.now();
-              state.messageCount++;
-              repliedEvents.add(event.id);
-            }
-
-            totalRepliesSent++;
-
-          } catch (publishError) {
-            console.error(`  ✗ Failed to send reply: ${publishError.message}`);
-          }
-        } else {
-          console.log(`  ℹ️  No trigger or command detected, skipping`);
-        }
+      if (queuedParts > 0) {
+        log.info(`  📥 ${queuedParts}/${chunks.length} part(s) queued in the outbox`);
+      } else {
+        log.info(`  ✅ Reply sent successfully!`);
+      }
+      log.debug('   Content', { reply: replyMessage });
+
+      // Update state
+      if (isCommand) {
+        stats.commandsExecuted++;
+      } else if (isAutoReply) {
+        stats.autoRepliesSent++;
+        // Update conversation state for auto-replies
+        const state = getConversationState(senderPubkeyHex);
+        state.lastReplyTime = Date.now();
+        state.messageCount++;
+        repliedEvents.add(event.id, event.created_at);
+      } else {
+        stats.agentRepliesSent++;
       }
+
+      stats.repliesSent++;
+
+    } catch (publishError) {
+      log.error(`  ✗ Failed to send reply: ${publishError.message}`);
+    }
+  } else {
+    log.info(`  ℹ️  No trigger or command detected, skipping`);
+  }
+}
+
+// Relay pool, set once main() has connected
+let relayPool = null;
+
+async function main() {
+  const myPubkey = MY_PUBKEY;
+  const myNpub = nip19.npubEncode(myPubkey);
+
+  log.info('=== NOSTR AUTO-REPLY DAEMON ===');
+  log.info(`Integrating with OpenClaw config system`);
+  log.info(`\nConfiguration:`);
+  log.info(`  My npub: ${myNpub}`);
+  log.info(`  Policy: ${config.dmPolicy}`);
+  log.info(`  Relays: ${config.relays.length}`);
+  log.info(`  Allowed senders: ${config.allowedSenders.includes('*') ? 'Anyone' : config.allowedSenders.length}`);
+  log.info(`  Conversation timeout: ${CONVERSATION_TIMEOUT_MS / 60000} minutes`);
+  loadCommands();
+  log.info(`  Commands: ${commandRegistry.list().map(command => `🦀${command.name}`).join(', ')}`);
+  log.info(`  Session bindings: ${sessionBindings.size} senders (${config.stateDir})`);
+  log.info(`  Agent forwarding: ${config.agent.enabled ? `on (${config.gatewayUrl})` : 'off'}`);
+
+  log.info(`\nListening for DMs...`);
+
+  // Pings detect dead connections, which closes the subscription and triggers a resubscribe
+  const pool = new SimplePool({ enablePing: true });
+  relayPool = pool;
+
+  // Connect to relays
+  log.info(`\nConnecting to ${config.relays.length} relays...`);
+  for (const relay of config.relays) {
+    try {
+      await pool.ensureRelay(relay);
+      log.info(`  ✓ ${relay}`);
     } catch (error) {
-      console.error(`\n✗ Error in polling loop: ${error.message}`);
+      log.error(`  ✗ ${relay}: ${error.message}`);
     }
-  }, POLL_INTERVAL_SECONDS * 1000);
+  }
+
+  // Subscribe to every relay; each subscription backfills from its own cursor
+  for (const relay of config.relays) {
+    subscribeRelay(pool, relay, (event, context) => handleIncomingEvent(pool, event, context));
+  }
+
+  // Replies also go to each recipient's DM inbox relays
+  inboxRelayCache = createInboxRelayCache(pool);
+  publishOwnDmRelayList(pool);
+  publishProfile(pool);
+
+  // Retry replies that missed their quorum, including ones queued before a restart
+  processOutbox(pool);
+  setInterval(() => processOutbox(pool), OUTBOX_RETRY_INTERVAL_MS);
+
+  await startControlServer();
+  watchOpenClawConfig();
+
+  // Tell subscribed operators when the gateway goes down, comes back or finishes work
+  startGatewayWatcher(pool);
 
   // Print stats every 60 seconds
   setInterval(() => {
@@ -1078,58 +2353,233 @@ async function main() {
     const minutes = Math.floor((uptime % 3600) / 60);
     const seconds = uptime % 60;
 
-    console.log(`\n=== STATS ===`);
-    console.log(`Uptime: ${hours}h ${minutes}m ${seconds}s`);
-    console.log(`DMs received: ${totalDmsReceived}`);
-    console.log(`Replies sent: ${totalRepliesSent}`);
-    console.log(`  Commands executed: ${commandsExecuted}`);
-    console.log(`  Auto-replies: ${autoRepliesSent}`);
-    console.log(`Active conversations: ${senderConversations.size}`);
-    console.log(`Processed events tracked: ${processedEvents.size}`);
-    console.log(`=============\n`);
+    log.info('\n📊 Stats', {
+      uptime: `${hours}h ${minutes}m ${seconds}s`,
+      ...stats,
+      liveRelays: `${countLiveRelays()}/${config.relays.length}`,
+      activeConversations: senderConversations.size,
+      processedEvents: processedEvents.size
+    });
   }, 60000);
 
+  // Persist conversations, cooldowns and relay health (event IDs are saved as they arrive)
+  setInterval(saveState, STATE_SAVE_INTERVAL_MS);
+
+  // Move cursors forward for live relays and persist them
+  setInterval(() => {
+    try {
+      tickRelayCursors();
+    } catch (error) {
+      log.error(`✗ Error saving relay cursors: ${error.message}`);
+    }
+  }, CURSOR_SAVE_INTERVAL_MS);
+
   // Cleanup old state every 5 minutes
   setInterval(() => {
     try {
       cleanupOldState();
     } catch (error) {
-      console.error(`✗ Error during cleanup: ${error.message}`);
+      log.error(`✗ Error during cleanup: ${error.message}`);
     }
   }, 5 * 60 * 1000);
 }
 
 // Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n\n🛑 Shutting down gracefully...');
+function shutdown() {
+  log.info('\n\n🛑 Shutting down gracefully...');
+  closeRelaySubscriptions();
+  if (controlServer) {
+    controlServer.stop();
+  }
+  saveRelayCursors();
+  saveState();
   process.exit(0);
-});
+}
 
-process.on('SIGTERM', () => {
-  console.log('\n\n🛑 Shutting down gracefully...');
-  process.exit(0);
-});
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
-// Handle config reload (SIGHUP)
-process.on('SIGHUP', () => {
-  console.log('\n\n🔄 Reloading configuration...');
-  try {
-    const newConfig = getNostrConfig();
+// ============================================================================
+// CONFIG RELOAD (SIGHUP and openclaw.json changes)
+// ============================================================================
+
+const DM_POLICIES = ['allowlist', 'open', 'pairing'];
+const CONFIG_WATCH_DEBOUNCE_MS = 500;
+
+// Settings that cannot change while the daemon runs; returns why a new config is rejected
+function validateReload(oldConfig, newConfig) {
+  const problems = [];
 
-    if (newConfig) {
-      config = newConfig;
-      console.log('✓ Configuration reloaded successfully');
-      console.log(`  Policy: ${config.dmPolicy}`);
-      console.log(`  Relays: ${config.relays.length}`);
-      console.log(`  Allowed senders: ${config.allowedSenders.includes('*') ? 'Anyone' : config.allowedSenders.length}`);
+  if (newConfig.privateKey !== oldConfig.privateKey) {
+    problems.push('privateKey changed; restart the daemon to use a new identity');
+  }
+  if (!newConfig.enabled) {
+    problems.push('the channel is disabled; stop the daemon instead');
+  }
+  if (!DM_POLICIES.includes(newConfig.dmPolicy)) {
+    problems.push(`unknown dmPolicy "${newConfig.dmPolicy}" (expected ${DM_POLICIES.join(', ')})`);
+  }
+  if (newConfig.dmPolicy === 'allowlist' && newConfig.allowedSenders.length === 0) {
+    problems.push('dmPolicy is allowlist but allowFrom has no valid pubkeys, so nobody could DM the bot');
+  }
+  if (newConfig.stateDir !== oldConfig.stateDir) {
+    problems.push('stateDir changed; restart the daemon to move its state');
+  }
+
+  return problems;
+}
+
+function sameSettings(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Bring the running daemon in line with a new config
+async function applyConfigChanges(oldConfig, newConfig, pool) {
+  const added = newConfig.relays.filter(url => !oldConfig.relays.includes(url));
+  const removed = oldConfig.relays.filter(url => !newConfig.relays.includes(url));
+
+  for (const relayUrl of removed) {
+    closeRelaySubscription(relayUrl);
+    pool.close([relayUrl]);
+    log.info(`  ➖ Dropped relay ${relayUrl}`);
+  }
+
+  // Allowlist and policy are part of the subscription filters
+  const filtersChanged = newConfig.dmPolicy !== oldConfig.dmPolicy ||
+    !sameSettings(newConfig.allowedSenders, oldConfig.allowedSenders);
+  if (filtersChanged) {
+    for (const subscription of relaySubscriptions.values()) {
+      subscription.refresh();
+    }
+    log.info(`  🔁 Resubscribed to ${relaySubscriptions.size} relays with the new allowlist/policy`);
+  }
+
+  for (const relayUrl of added) {
+    try {
+      await pool.ensureRelay(relayUrl);
+      log.info(`  ➕ Connected to relay ${relayUrl}`);
+    } catch (error) {
+      log.error(`  ✗ ${relayUrl}: ${error.message}`);
+    }
+    seedRelayCursor(relayUrl);
+    subscribeRelay(pool, relayUrl, (event, context) => handleIncomingEvent(pool, event, context));
+  }
+
+  if (!sameSettings(newConfig.inboxRelays, oldConfig.inboxRelays)) {
+    inboxRelayCache = createInboxRelayCache(pool);
+  }
+
+  if (added.length > 0 || removed.length > 0 || !sameSettings(newConfig.inboxRelays, oldConfig.inboxRelays)) {
+    publishOwnDmRelayList(pool);
+  }
+
+  if (!sameSettings(newConfig.http, oldConfig.http)) {
+    if (controlServer) {
+      controlServer.stop();
+      controlServer = null;
+    }
+    await startControlServer();
+  }
+
+  transcriptArchive.maxPerSender = newConfig.archive.maxPerSender;
+
+  if (!sameSettings(newConfig.notifications, oldConfig.notifications)) {
+    startGatewayWatcher(pool);
+  }
+
+  if (newConfig.commandsDir !== oldConfig.commandsDir) {
+    log.warn('  ⚠️  commandsDir changed; restart the daemon to load commands from the new directory');
+  }
+
+  publishProfile(pool);
+}
+
+let reloading = Promise.resolve();
+
+// Load openclaw.json again and apply it; an invalid config is rejected and the current one kept
+function reloadConfig(trigger) {
+  reloading = reloading.then(async () => {
+    log.info(`\n\n🔄 Reloading configuration (${trigger})...`);
+
+    let newConfig;
+    try {
+      newConfig = getNostrConfig();
+    } catch (error) {
+      log.error(`✗ Rejected new configuration, keeping the current one: ${error.message}`);
+      return;
+    }
+
+    const problems = validateReload(config, newConfig);
+    if (problems.length > 0) {
+      log.error(`✗ Rejected new configuration, keeping the current one:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+      return;
+    }
+
+    const oldConfig = config;
+    config = newConfig;
+    log.configure(config.logging);
+    log.addSecret(config.gatewayToken);
+
+    if (relayPool) {
+      await applyConfigChanges(oldConfig, config, relayPool);
     }
+
+    log.info('✓ Configuration reloaded successfully');
+    log.info(`  Policy: ${config.dmPolicy}`);
+    log.info(`  Relays: ${config.relays.length}`);
+    log.info(`  Allowed senders: ${config.allowedSenders.includes('*') ? 'Anyone' : config.allowedSenders.length}`);
+  }).catch(error => {
+    log.error(`✗ Failed to apply configuration: ${error.message}`);
+  });
+
+  return reloading;
+}
+
+// Reload when openclaw.json changes (e.g. saved from the dashboard). The directory is
+// watched because editors often replace the file instead of writing it in place.
+function watchOpenClawConfig() {
+  if (!config.watchConfig || !openclawConfigFile) {
+    return;
+  }
+
+  const { dir, base } = path.parse(openclawConfigFile.path);
+  let timer = null;
+
+  try {
+    fs.watch(dir, (eventType, fileName) => {
+      if (fileName !== base) {
+        return;
+      }
+
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        let raw;
+        try {
+          raw = fs.readFileSync(openclawConfigFile.path, 'utf8');
+        } catch (error) {
+          return; // Mid-rename; the next event picks it up
+        }
+
+        if (crypto.createHash('sha256').update(raw).digest('hex') !== openclawConfigFile.hash) {
+          reloadConfig('openclaw.json changed');
+        }
+      }, CONFIG_WATCH_DEBOUNCE_MS);
+    }).unref();
+
+    log.info(`  👀 Watching ${openclawConfigFile.path} for changes`);
   } catch (error) {
-    console.error('✗ Failed to reload configuration:', error.message);
+    log.warn(`  ⚠️  Cannot watch ${openclawConfigFile.path}: ${error.message}; use SIGHUP to reload`);
   }
-});
+}
+
+process.on('SIGHUP', () => reloadConfig('SIGHUP'));
+
+// Pairing admin CLI, otherwise start the daemon
+if (process.argv[2] === 'pair') {
+  process.exit(runPairingCli(process.argv.slice(3)));
+}
 
-// Start the daemon
 main().catch(error => {
-  console.error('Fatal error:', error);
+  log.error('Fatal error', { error: error.stack || String(error) });
   process.exit(1);
 });
@@ -0,0 +1,89 @@
+/**
+ * nostr-claw check-config - validate openclaw.json
+ *
+ * Prints the effective config with secrets redacted and exits non-zero on
+ * errors, so a config can be checked before it is deployed. Also run by
+ * `node auto-reply-daemon-openclaw.js --check-config`.
+ */
+
+const { getPublicKey, nip19 } = require('nostr-tools');
+const { hexToBytes } = require('nostr-tools/utils');
+
+const { findOpenClawConfig, loadOpenClawConfig, buildNostrConfig } = require('../lib/openclaw-config');
+const { validateOpenClawConfig, formatIssues } = require('../lib/config-schema');
+const { channelOverrides, printJson } = require('./shared');
+
+module.exports = {
+  name: 'check-config',
+  description: 'Validate openclaw.json and print the effective config',
+  usage: 'check-config [--config <path>]',
+  options: {},
+
+  run({ values }, { log }) {
+    const json = values.format === 'json';
+    log.configure({ level: 'error' }); // Only the report below
+
+    let file;
+    try {
+      file = loadOpenClawConfig(findOpenClawConfig(values.config));
+    } catch (error) {
+      if (json) {
+        printJson({ valid: false, file: null, errors: [{ path: '$', message: error.message }], warnings: [] });
+      } else {
+        console.error(`✗ ${error.message}`);
+      }
+      return 1;
+    }
+
+    const validation = validateOpenClawConfig(file.config);
+
+    let effective = null;
+    let loadError = null;
+    if (validation.errors.length === 0) {
+      try {
+        effective = buildNostrConfig(file.config, { log, source: file.path, channelOverrides: channelOverrides(values) });
+      } catch (error) {
+        loadError = error.message;
+      }
+    }
+
+    const pubkey = effective ? nip19.npubEncode(getPublicKey(hexToBytes(effective.privateKey))) : null;
+
+    if (json) {
+      printJson({
+        valid: validation.errors.length === 0 && !loadError,
+        file: file.path,
+        channelPath: validation.channelPath,
+        errors: loadError ? [...validation.errors, { path: '$', message: loadError }] : validation.errors,
+        warnings: validation.warnings,
+        config: effective ? log.redactValue({ pubkey, ...effective }) : null
+      });
+      return effective ? 0 : 1;
+    }
+
+    console.log(`Config file: ${file.path}`);
+    console.log(`Nostr channel: ${validation.channelPath || '(none, using defaults)'}`);
+
+    for (const warning of formatIssues(validation.warnings)) {
+      console.log(`  ⚠️  ${warning}`);
+    }
+
+    if (validation.errors.length > 0) {
+      console.error(`\n✗ ${validation.errors.length} error(s):`);
+      for (const error of formatIssues(validation.errors)) {
+        console.error(`  - ${error}`);
+      }
+      return 1;
+    }
+
+    if (loadError) {
+      console.error(`✗ ${loadError}`);
+      return 1;
+    }
+
+    console.log('\nEffective configuration:');
+    console.log(JSON.stringify(log.redactValue({ pubkey, ...effective }), null, 2));
+    console.log('\n✓ Configuration is valid');
+    return 0;
+  }
+};
@@ -0,0 +1,49 @@
+/**
+ * nostr-claw daemon - run the auto-reply daemon in this process
+ *
+ *   node nostr-claw.js daemon --key-file ~/.openclaw/nostr.key --relay wss://relay.damus.io
+ *
+ * --relay, --key-file and --key-env reach the daemon as channel overrides in
+ * OPENCLAW_NOSTR_CHANNEL_OVERRIDES, which it applies on top of openclaw.json
+ * at startup and on every reload.
+ */
+
+const path = require('path');
+
+const { CONFIG_ENV_VAR, OVERRIDES_ENV_VAR } = require('../lib/openclaw-config');
+const { channelOverrides } = require('./shared');
+
+module.exports = {
+  name: 'daemon',
+  description: 'Run the auto-reply daemon (same as auto-reply-daemon-openclaw.js)',
+  usage: 'daemon [--config <path>] [--relay <url>...] [--key-file <path> | --key-env <NAME>] [--format text|json]',
+  help: 'The daemon watches openclaw.json and reloads it when it changes. --relay, --key-file and\n' +
+    '--key-env replace channels.nost.relays and the key on every reload, so changing those in\n' +
+    'the file has no effect while they are given.',
+  options: {},
+
+  run({ values }) {
+    // The daemon reads these when it loads; set them before requiring it
+    if (values.config) {
+      process.env[CONFIG_ENV_VAR] = path.resolve(values.config);
+    }
+
+    const overrides = channelOverrides({
+      ...values,
+      'key-file': values['key-file'] && path.resolve(values['key-file'])
+    });
+    if (Object.keys(overrides).length > 0) {
+      // JSON drops undefined; null clears the key source the flag replaces
+      process.env[OVERRIDES_ENV_VAR] = JSON.stringify(overrides, (key, value) => (value === undefined ? null : value));
+    }
+    if (values.format !== 'text') {
+      process.env.OPENCLAW_NOSTR_LOG_FORMAT = values.format;
+    }
+    if (values.verbose) {
+      process.env.OPENCLAW_NOSTR_LOG_LEVEL = 'debug';
+    }
+
+    require('../auto-reply-daemon-openclaw');
+    return null;
+  }
+};
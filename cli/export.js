@@ -0,0 +1,308 @@
+/**
+ * nostr-claw export - export the DM history of our key as transcripts
+ *
+ *   node nostr-claw.js export --out transcripts/
+ *   node nostr-claw.js export --with npub1... --since 2026-10-01 > handover.md
+ *   node nostr-claw.js export --as jsonl --since 2026-10-18T22:00Z --until 2026-10-19T06:00Z
+ *
+ * Pulls kind 4 DMs to and from us and the kind 1059 gift wraps addressed to
+ * us, decrypts them and threads them by counterparty. Messages we sent with
+ * NIP-17 are only found through the copy wrapped for ourselves, which the
+ * daemon and `send` publish alongside every NIP-17 message.
+ *
+ * Without --out every thread goes to stdout; with --out each counterparty gets
+ * its own <npub>.md or <npub>.jsonl file in that directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SimplePool, nip19 } = require('nostr-tools');
+
+const {
+  decryptKind4, unwrapGiftWrap, DM_SCHEMES, SCHEME_LABELS,
+  KIND_ENCRYPTED_DM, KIND_GIFT_WRAP, GIFT_WRAP_BACKDATE_SECONDS
+} = require('../lib/dm-crypto');
+const { loadCliConfig, resolvePubkey, printJson } = require('./shared');
+
+const TRANSCRIPT_FORMATS = ['markdown', 'jsonl'];
+const PAGE_SIZE = 500;
+const QUERY_TIMEOUT_MS = 10000;
+
+// Unix seconds or anything Date.parse accepts (2026-10-19, 2026-10-19T08:00Z) -> unix seconds, or null
+function parseTime(value) {
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+// Page backwards through one filter on one relay until it has nothing older.
+// Each relay gets its own cursor: with a shared one, a sparse relay's oldest
+// event would skip whatever a denser relay holds between the two.
+async function fetchFromRelay(pool, relay, filter, log) {
+  const events = new Map();
+  const query = async extra => pool.querySync([relay], { ...filter, ...extra }, { maxWait: QUERY_TIMEOUT_MS });
+  let until = filter.until;
+
+  for (;;) {
+    const page = await query({ until, limit: PAGE_SIZE });
+    if (page.length === 0) {
+      break;
+    }
+
+    const fresh = page.filter(event => !events.has(event.id));
+    fresh.forEach(event => events.set(event.id, event));
+    const oldest = Math.min(...page.map(event => event.created_at));
+
+    if (fresh.length > 0) {
+      // The oldest timestamp is asked for again, as more events may share it
+      until = oldest;
+    } else if (oldest === until) {
+      // A whole page of events we already have at `until`: more events share
+      // that second than fit in a page. Fetch the second on its own and move past it
+      (await query({ since: until, until })).forEach(event => events.set(event.id, event));
+      until--;
+    } else {
+      break; // The relay ignores until
+    }
+
+    log.debug(`  ${relay}: ${events.size} kind ${filter.kinds[0]} events so far`);
+    if (filter.since !== undefined && until < filter.since) {
+      break;
+    }
+  }
+
+  return [...events.values()];
+}
+
+// One filter across all relays, each paged on its own
+async function fetchAll(pool, relays, filter, log) {
+  const events = new Map();
+  const results = await Promise.all(relays.map(relay => fetchFromRelay(pool, relay, filter, log)));
+  for (const event of results.flat()) {
+    events.set(event.id, event);
+  }
+  return [...events.values()];
+}
+
+// The first p tag that is not us; a note to self has none
+function counterpartyOf(tags, ourPubkey) {
+  const tag = tags.find(([name, value]) => name === 'p' && value !== ourPubkey);
+  return tag ? tag[1] : ourPubkey;
+}
+
+// Decrypt a kind 4 or 1059 event from either side of a conversation;
+// returns { id, direction, counterparty, createdAt, scheme, message }
+function openHistoryEvent(event, privateKey, ourPubkey) {
+  if (event.kind === KIND_GIFT_WRAP) {
+    const rumor = unwrapGiftWrap(event, privateKey);
+    const outgoing = rumor.pubkey === ourPubkey;
+    return {
+      id: rumor.id || event.id,
+      direction: outgoing ? 'out' : 'in',
+      counterparty: outgoing ? counterpartyOf(rumor.tags, ourPubkey) : rumor.pubkey,
+      createdAt: rumor.created_at,
+      scheme: DM_SCHEMES.NIP17,
+      message: rumor.content
+    };
+  }
+
+  const outgoing = event.pubkey === ourPubkey;
+  const counterparty = outgoing ? counterpartyOf(event.tags, ourPubkey) : event.pubkey;
+  // Both schemes derive the same shared secret from either side
+  const { message, scheme } = decryptKind4(event.content, privateKey, counterparty);
+  return { id: event.id, direction: outgoing ? 'out' : 'in', counterparty, createdAt: event.created_at, scheme, message };
+}
+
+// Counterparty -> messages, oldest first
+function threadMessages(messages) {
+  const threads = new Map();
+  for (const dm of [...messages].sort((a, b) => a.createdAt - b.createdAt)) {
+    if (!threads.has(dm.counterparty)) {
+      threads.set(dm.counterparty, []);
+    }
+    threads.get(dm.counterparty).push(dm);
+  }
+  return threads;
+}
+
+function formatTime(createdAt) {
+  return new Date(createdAt * 1000).toISOString().replace('T', ' ').replace('.000Z', ' UTC');
+}
+
+function renderJsonl(counterparty, messages, ourPubkey) {
+  return messages.map(dm => JSON.stringify({
+    id: dm.id,
+    counterparty: nip19.npubEncode(counterparty),
+    counterpartyHex: counterparty,
+    direction: dm.direction,
+    from: dm.direction === 'in' ? counterparty : ourPubkey,
+    to: dm.direction === 'in' ? ourPubkey : counterparty,
+    createdAt: dm.createdAt,
+    time: new Date(dm.createdAt * 1000).toISOString(),
+    scheme: dm.scheme,
+    message: dm.message
+  }) + '\n').join('');
+}
+
+function renderMarkdown(counterparty, messages, ourPubkey) {
+  const npub = nip19.npubEncode(counterparty);
+  const lines = [
+    `# DMs with ${npub}`,
+    '',
+    `- Our key: ${nip19.npubEncode(ourPubkey)}`,
+    `- Messages: ${messages.length} (${messages.filter(dm => dm.direction === 'in').length} received, ` +
+      `${messages.filter(dm => dm.direction === 'out').length} sent)`,
+    `- From ${formatTime(messages[0].createdAt)} to ${formatTime(messages[messages.length - 1].createdAt)}`,
+    ''
+  ];
+
+  for (const dm of messages) {
+    lines.push(`### ${formatTime(dm.createdAt)} ${dm.direction === 'in' ? '← received' : '→ sent'} (${SCHEME_LABELS[dm.scheme]})`);
+    lines.push('');
+    // Quoting every line keeps headings and code fences in a message from breaking the transcript
+    lines.push(...dm.message.split('\n').map(line => (line ? `> ${line}` : '>')));
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  name: 'export',
+  description: 'Export the DM history as Markdown or JSONL transcripts',
+  usage: 'export [--since <time>] [--until <time>] [--with <recipient>...] [--as markdown|jsonl] [--out <dir>]',
+  help: 'Options:\n' +
+    '  --since <time>       Only messages from this time on (unix seconds or a date like 2026-10-19T08:00Z)\n' +
+    '  --until <time>       Only messages up to this time\n' +
+    '  --with <recipient>   Only the conversation with this npub, hex pubkey or NIP-05 name (repeatable)\n' +
+    '  --as <format>        markdown or jsonl (default: jsonl with --format json, else markdown)\n' +
+    '  --out <dir>          Write one file per counterparty into this directory instead of stdout\n\n' +
+    'With --out, --format json prints a summary of the files written.',
+  options: {
+    since: { type: 'string' },
+    until: { type: 'string' },
+    with: { type: 'string', multiple: true },
+    as: { type: 'string' },
+    out: { type: 'string' }
+  },
+
+  async run({ values }, { log }) {
+    const transcriptFormat = values.as || (values.format === 'json' ? 'jsonl' : 'markdown');
+    if (!TRANSCRIPT_FORMATS.includes(transcriptFormat)) {
+      console.error(`✗ --as must be one of ${TRANSCRIPT_FORMATS.join(', ')}`);
+      return 1;
+    }
+
+    const range = {};
+    for (const key of ['since', 'until']) {
+      if (values[key] !== undefined) {
+        range[key] = parseTime(values[key]);
+        if (range[key] === null) {
+          console.error(`✗ --${key} must be unix seconds or a date, got "${values[key]}"`);
+          return 1;
+        }
+      }
+    }
+    if (range.since !== undefined && range.until !== undefined && range.since > range.until) {
+      console.error('✗ --since is after --until');
+      return 1;
+    }
+
+    const { config, privateKey, pubkey } = loadCliConfig(values, log);
+
+    const counterparties = [];
+    for (const input of values.with || []) {
+      counterparties.push(await resolvePubkey(input));
+    }
+
+    // Gift wraps carry a randomized timestamp up to two days before the message
+    const kind4Range = { since: range.since, until: range.until };
+    const giftWrapRange = {
+      since: range.since === undefined ? undefined : range.since - GIFT_WRAP_BACKDATE_SECONDS,
+      until: range.until
+    };
+    const withRange = filter => Object.fromEntries(Object.entries(filter).filter(([, value]) => value !== undefined));
+
+    const filters = [
+      withRange({ kinds: [KIND_ENCRYPTED_DM], '#p': [pubkey], ...kind4Range }),
+      withRange({ kinds: [KIND_ENCRYPTED_DM], authors: [pubkey], ...kind4Range }),
+      withRange({ kinds: [KIND_GIFT_WRAP], '#p': [pubkey], ...giftWrapRange })
+    ];
+    if (counterparties.length > 0) {
+      filters[0].authors = counterparties;
+      filters[1]['#p'] = counterparties;
+    }
+
+    const pool = new SimplePool();
+    const events = new Map();
+    try {
+      for (const filter of filters) {
+        for (const event of await fetchAll(pool, config.relays, filter, log)) {
+          events.set(event.id, event);
+        }
+      }
+    } finally {
+      pool.close(config.relays);
+    }
+
+    const messages = new Map();
+    let failed = 0;
+    for (const event of events.values()) {
+      let dm;
+      try {
+        dm = openHistoryEvent(event, privateKey, pubkey);
+      } catch (error) {
+        failed++;
+        log.debug(`  ❌ Could not decrypt ${event.id.substring(0, 8)} (kind ${event.kind}): ${error.message}`);
+        continue;
+      }
+
+      if ((range.since !== undefined && dm.createdAt < range.since) ||
+          (range.until !== undefined && dm.createdAt > range.until) ||
+          (counterparties.length > 0 && !counterparties.includes(dm.counterparty))) {
+        continue;
+      }
+      messages.set(dm.id, dm);
+    }
+
+    const threads = threadMessages(messages.values());
+    const render = transcriptFormat === 'jsonl' ? renderJsonl : renderMarkdown;
+
+    if (!values.out) {
+      const transcripts = [...threads].map(([counterparty, thread]) => render(counterparty, thread, pubkey));
+      process.stdout.write(transcriptFormat === 'jsonl' ? transcripts.join('') : transcripts.join('\n---\n\n'));
+      if (failed > 0) {
+        console.error(`⚠️  ${failed} event(s) could not be decrypted (run with -v for details)`);
+      }
+      return 0;
+    }
+
+    const outDir = path.resolve(values.out);
+    fs.mkdirSync(outDir, { recursive: true, mode: 0o700 });
+
+    const files = [];
+    for (const [counterparty, thread] of threads) {
+      const npub = nip19.npubEncode(counterparty);
+      const file = path.join(outDir, `${npub}.${transcriptFormat === 'jsonl' ? 'jsonl' : 'md'}`);
+      // Transcripts are decrypted DMs; keep them as private as the key
+      fs.writeFileSync(file, render(counterparty, thread, pubkey), { mode: 0o600 });
+      files.push({ counterparty: npub, file, messages: thread.length });
+    }
+
+    if (values.format === 'json') {
+      printJson({ key: nip19.npubEncode(pubkey), messages: messages.size, failed, conversations: files });
+      return 0;
+    }
+
+    console.log(`📜 Exported ${messages.size} DM(s) in ${threads.size} conversation(s) to ${outDir}`);
+    for (const entry of files) {
+      console.log(`   ${entry.counterparty}  ${entry.messages} message(s)  ${path.basename(entry.file)}`);
+    }
+    if (failed > 0) {
+      console.log(`⚠️  ${failed} event(s) could not be decrypted (run with -v for details)`);
+    }
+    return 0;
+  }
+};
@@ -0,0 +1,92 @@
+/**
+ * nostr-claw keygen - generate a new Nostr key pair
+ *
+ * With --out the secret goes straight into a new key file (mode 0600) for
+ * channels.nost.privateKeyFile and is not printed. With --encrypt it is stored
+ * as a NIP-49 ncryptsec, using the passphrase in OPENCLAW_NOSTR_KEY_PASSPHRASE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { generateSecretKey, getPublicKey, nip19 } = require('nostr-tools');
+const nip49 = require('nostr-tools/nip49');
+const { bytesToHex } = require('nostr-tools/utils');
+
+const { DEFAULT_PASSPHRASE_ENV_VAR } = require('../lib/private-key');
+const { printJson } = require('./shared');
+
+module.exports = {
+  name: 'keygen',
+  description: 'Generate a new key pair, optionally into a key file',
+  usage: 'keygen [--out <file>] [--encrypt]',
+  help: 'Options:\n' +
+    '  --out <file>   Write the private key to a new file with mode 0600 instead of printing it\n' +
+    `  --encrypt      Encrypt the key as a NIP-49 ncryptsec with the passphrase in ${DEFAULT_PASSPHRASE_ENV_VAR}`,
+  options: {
+    out: { type: 'string' },
+    encrypt: { type: 'boolean', default: false }
+  },
+
+  run({ values }) {
+    const secretKey = generateSecretKey();
+    const pubkey = getPublicKey(secretKey);
+    const keys = {
+      pubkey,
+      npub: nip19.npubEncode(pubkey)
+    };
+
+    let secret;
+    if (values.encrypt) {
+      const passphrase = process.env[DEFAULT_PASSPHRASE_ENV_VAR];
+      if (!passphrase) {
+        console.error(`✗ --encrypt needs the passphrase in ${DEFAULT_PASSPHRASE_ENV_VAR}`);
+        return 1;
+      }
+      secret = { ncryptsec: nip49.encrypt(secretKey, passphrase) };
+    } else {
+      secret = { privateKey: bytesToHex(secretKey), nsec: nip19.nsecEncode(secretKey) };
+    }
+
+    if (values.out) {
+      const outPath = path.resolve(values.out);
+      try {
+        // wx: never overwrite an existing key
+        fs.writeFileSync(outPath, `${secret.ncryptsec || secret.nsec}\n`, { mode: 0o600, flag: 'wx' });
+      } catch (error) {
+        console.error(`✗ Cannot write ${outPath}: ${error.code === 'EEXIST' ? 'file already exists' : error.message}`);
+        return 1;
+      }
+      keys.file = outPath;
+    } else {
+      Object.assign(keys, secret);
+    }
+
+    if (values.format === 'json') {
+      printJson(keys);
+      return 0;
+    }
+
+    console.log('=== New Nostr Key Pair ===');
+    console.log(`Public Key (hex): ${keys.pubkey}`);
+    console.log(`npub: ${keys.npub}`);
+
+    if (keys.file) {
+      console.log(`Private key written to ${keys.file}${values.encrypt ? ' (ncryptsec)' : ''}`);
+      console.log('\nUpdate openclaw.json with:');
+      console.log(`  "privateKeyFile": "${keys.file}",`);
+    } else if (keys.ncryptsec) {
+      console.log(`ncryptsec: ${keys.ncryptsec}`);
+      console.log('\nUpdate openclaw.json with:');
+      console.log(`  "privateKey": "${keys.ncryptsec}",`);
+    } else {
+      console.log(`Private Key (hex): ${keys.privateKey}`);
+      console.log(`nsec: ${keys.nsec}`);
+      console.log('\nKeep the private key out of source control; store it with --out or in a chmod 600 file.');
+    }
+
+    if (values.encrypt) {
+      console.log(`and start the daemon with the passphrase in ${DEFAULT_PASSPHRASE_ENV_VAR}.`);
+    }
+    return 0;
+  }
+};
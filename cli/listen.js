@@ -0,0 +1,113 @@
+/**
+ * nostr-claw listen - print incoming DMs (NIP-04, NIP-44 and NIP-17) as they arrive
+ *
+ * Runs until Ctrl+C or for --duration seconds. With --format json each DM is
+ * printed as one JSON object per line.
+ */
+
+const { SimplePool, nip19 } = require('nostr-tools');
+
+const {
+  decryptKind4, unwrapGiftWrap, DM_SCHEMES, SCHEME_LABELS,
+  KIND_ENCRYPTED_DM, KIND_GIFT_WRAP, GIFT_WRAP_BACKDATE_SECONDS
+} = require('../lib/dm-crypto');
+const { loadCliConfig, parsePubkey } = require('./shared');
+
+// Decrypt a kind 4 or 1059 event; returns { id, from, createdAt, scheme, message }
+function openDirectMessage(event, privateKey) {
+  if (event.kind === KIND_GIFT_WRAP) {
+    const rumor = unwrapGiftWrap(event, privateKey);
+    return { id: rumor.id || event.id, from: rumor.pubkey, createdAt: rumor.created_at, scheme: DM_SCHEMES.NIP17, message: rumor.content };
+  }
+
+  const { message, scheme } = decryptKind4(event.content, privateKey, event.pubkey);
+  return { id: event.id, from: event.pubkey, createdAt: event.created_at, scheme, message };
+}
+
+module.exports = {
+  name: 'listen',
+  description: 'Print incoming DMs as they arrive',
+  usage: 'listen [--from <npub>...] [--duration <seconds>]',
+  help: 'Options:\n' +
+    '  --from <npub>        Only show DMs from this sender (repeatable)\n' +
+    '  --duration <secs>    Stop after this many seconds (default: run until Ctrl+C)',
+  options: {
+    from: { type: 'string', multiple: true },
+    duration: { type: 'string' }
+  },
+
+  async run({ values }, { log }) {
+    const senders = (values.from || []).map(parsePubkey);
+    if (senders.includes(null)) {
+      console.error('✗ --from must be an npub or hex pubkey');
+      return 1;
+    }
+
+    const durationSeconds = values.duration ? parseInt(values.duration, 10) : null;
+    if (values.duration && (!Number.isInteger(durationSeconds) || durationSeconds <= 0)) {
+      console.error('✗ --duration must be a positive number of seconds');
+      return 1;
+    }
+
+    const { config, privateKey, pubkey } = loadCliConfig(values, log);
+    const json = values.format === 'json';
+    const startedAt = Math.floor(Date.now() / 1000);
+    const seen = new Set();
+    let received = 0;
+
+    const handleEvent = event => {
+      let dm;
+      try {
+        dm = openDirectMessage(event, privateKey);
+      } catch (error) {
+        log.warn(`  ❌ Could not decrypt ${event.id.substring(0, 8)} (kind ${event.kind}): ${error.message}`);
+        return;
+      }
+
+      // Our own copies of sent NIP-17 messages, gift wraps backdated past the start, duplicates
+      if (dm.from === pubkey || dm.createdAt < startedAt || seen.has(dm.id)) {
+        return;
+      }
+      seen.add(dm.id);
+
+      if (senders.length > 0 && !senders.includes(dm.from)) {
+        return;
+      }
+
+      received++;
+      if (json) {
+        console.log(JSON.stringify({ ...dm, from: nip19.npubEncode(dm.from), fromHex: dm.from }));
+      } else {
+        console.log(`📨 ${new Date(dm.createdAt * 1000).toISOString()} ${nip19.npubEncode(dm.from)} (${SCHEME_LABELS[dm.scheme]})`);
+        console.log(`${dm.message}\n`);
+      }
+    };
+
+    const pool = new SimplePool({ enablePing: true, enableReconnect: true });
+    const subs = [
+      { kinds: [KIND_ENCRYPTED_DM], '#p': [pubkey], since: startedAt },
+      { kinds: [KIND_GIFT_WRAP], '#p': [pubkey], since: startedAt - GIFT_WRAP_BACKDATE_SECONDS }
+    ].map(filter => pool.subscribe(config.relays, filter, { onevent: handleEvent }));
+
+    if (!json) {
+      console.log(`👂 Listening as ${nip19.npubEncode(pubkey)} on ${config.relays.length} relays` +
+        `${durationSeconds ? ` for ${durationSeconds}s` : ''} (Ctrl+C to stop)\n`);
+    }
+
+    await new Promise(resolve => {
+      process.once('SIGINT', resolve);
+      process.once('SIGTERM', resolve);
+      if (durationSeconds) {
+        setTimeout(resolve, durationSeconds * 1000);
+      }
+    });
+
+    subs.forEach(sub => sub.close());
+    pool.close(config.relays);
+
+    if (!json) {
+      console.log(`\n${received} DM(s) received`);
+    }
+    return 0;
+  }
+};
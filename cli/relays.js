@@ -0,0 +1,69 @@
+/**
+ * nostr-claw relays - check that each relay accepts a connection and answers a query
+ */
+
+const { SimplePool } = require('nostr-tools');
+
+const { loadCliConfig, printJson } = require('./shared');
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+async function probeRelay(pool, url, pubkey, timeoutMs) {
+  const started = Date.now();
+
+  try {
+    await pool.ensureRelay(url, { connectionTimeout: timeoutMs });
+    const connectedMs = Date.now() - started;
+
+    const events = await pool.querySync([url], { kinds: [4], '#p': [pubkey], limit: 1 }, { maxWait: timeoutMs });
+
+    return { url, ok: true, connectMs: connectedMs, latencyMs: Date.now() - started, recentDms: events.length };
+  } catch (error) {
+    return { url, ok: false, latencyMs: Date.now() - started, error: error?.message || String(error) };
+  }
+}
+
+module.exports = {
+  name: 'relays',
+  description: 'Check that the configured relays answer',
+  usage: 'relays [--relay <url>...] [--timeout <ms>]',
+  help: 'Options:\n' +
+    `  --timeout <ms>   How long to wait for each relay (default: ${DEFAULT_TIMEOUT_MS})`,
+  options: {
+    timeout: { type: 'string' }
+  },
+
+  async run({ values }, { log }) {
+    const timeoutMs = values.timeout ? parseInt(values.timeout, 10) : DEFAULT_TIMEOUT_MS;
+    if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+      console.error('✗ --timeout must be a positive number of milliseconds');
+      return 1;
+    }
+
+    const { config, pubkey } = loadCliConfig(values, log);
+    const pool = new SimplePool();
+
+    let results;
+    try {
+      results = await Promise.all(config.relays.map(url => probeRelay(pool, url, pubkey, timeoutMs)));
+    } finally {
+      pool.close(config.relays);
+    }
+
+    const online = results.filter(result => result.ok).length;
+
+    if (values.format === 'json') {
+      printJson({ online, total: results.length, relays: results });
+    } else {
+      console.log(`📡 ${online}/${results.length} relays online\n`);
+      for (const result of results) {
+        const detail = result.ok
+          ? `${result.latencyMs}ms (connect ${result.connectMs}ms), recent DMs: ${result.recentDms}`
+          : `${result.latencyMs}ms, ${result.error}`;
+        console.log(`${result.ok ? '✅' : '❌'} ${result.url}  ${detail}`);
+      }
+    }
+
+    return online > 0 ? 0 : 1;
+  }
+};
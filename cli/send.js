@@ -0,0 +1,200 @@
+/**
+ * nostr-claw send - send an encrypted DM to one or more recipients
+ *
+ *   node nostr-claw.js send npub1... "Deploy finished"
+ *   make test 2>&1 | node nostr-claw.js send --to alice@example.com --to npub1... --scheme nip17
+ *   node nostr-claw.js send --to npub1... --file report.txt --format json
+ *
+ * Recipients may be npubs, hex pubkeys or NIP-05 identifiers. The message comes
+ * from the arguments, --file (- for stdin) or, when stdin is piped, stdin.
+ *
+ * The scheme is --scheme, else the recipient's channels.nost.replySchemes
+ * entry, else defaultReplyScheme. Like the daemon's replies, each DM also goes
+ * to the recipient's kind 10050 / NIP-65 inbox relays, and a NIP-17 message is
+ * gift-wrapped a second time for ourselves so our own clients show it too.
+ */
+
+const { SimplePool, finalizeEvent, nip19 } = require('nostr-tools');
+
+const {
+  encryptKind4, wrapPrivateDM, DM_SCHEMES, SCHEME_LABELS, KIND_ENCRYPTED_DM
+} = require('../lib/dm-crypto');
+const { selectInboxRelays, KIND_DM_RELAYS, KIND_RELAY_LIST } = require('../lib/inbox-relays');
+const { loadCliConfig, resolvePubkey, readInput, publishToRelays, printJson } = require('./shared');
+
+const INBOX_LOOKUP_TIMEOUT_MS = 3000;
+
+// Recipient pubkey -> extra relays from their kind 10050 / 10002 list, looked up in one query
+async function lookupInboxRelays(pool, config, pubkeys, log) {
+  const inboxRelays = new Map();
+  if (!config.inboxRelays.enabled) {
+    return inboxRelays;
+  }
+
+  let events;
+  try {
+    events = await pool.querySync(
+      [...new Set([...config.relays, ...config.inboxRelays.lookupRelays])],
+      { kinds: [KIND_DM_RELAYS, KIND_RELAY_LIST], authors: pubkeys },
+      { maxWait: INBOX_LOOKUP_TIMEOUT_MS }
+    );
+  } catch (error) {
+    log.warn(`  ⚠️  Inbox relay lookup failed, using our relays: ${error.message}`);
+    return inboxRelays;
+  }
+
+  for (const pubkey of pubkeys) {
+    const { relays } = selectInboxRelays(events.filter(event => event.pubkey === pubkey), {
+      maxRelays: config.inboxRelays.maxPerRecipient,
+      allowInsecure: config.inboxRelays.allowInsecure
+    });
+    inboxRelays.set(pubkey, relays.filter(url => !config.relays.includes(url)));
+  }
+
+  return inboxRelays;
+}
+
+// The event for the recipient, plus our own NIP-17 copy
+function buildDirectMessage(privateKey, recipientPubkey, message, scheme) {
+  if (scheme === DM_SCHEMES.NIP17) {
+    const [recipientWrap, selfWrap] = wrapPrivateDM(privateKey, recipientPubkey, message);
+    return { event: recipientWrap, selfCopy: selfWrap };
+  }
+
+  const event = finalizeEvent({
+    kind: KIND_ENCRYPTED_DM,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [['p', recipientPubkey]],
+    content: encryptKind4(message, privateKey, recipientPubkey, scheme)
+  }, privateKey);
+
+  return { event, selfCopy: null };
+}
+
+function getMessage(values, words) {
+  if (values.file) {
+    return readInput(values.file);
+  }
+  if (words.length > 0) {
+    return words.join(' ');
+  }
+  if (!process.stdin.isTTY) {
+    return readInput('-');
+  }
+  return '';
+}
+
+module.exports = {
+  name: 'send',
+  description: 'Send an encrypted DM to one or more recipients',
+  usage: 'send [<recipient>] [message...] [--to <recipient>...] [--scheme nip04|nip44|nip17] [--file <path>]',
+  help: 'Options:\n' +
+    '  --to <recipient>     npub, hex pubkey or NIP-05 name@domain (repeatable); without it\n' +
+    '                       the first argument is the recipient\n' +
+    '  --scheme <scheme>    nip04, nip44 (in kind 4) or nip17 (gift-wrapped); default from openclaw.json\n' +
+    '  --file <path>        Read the message from a file, or - for stdin\n\n' +
+    'With no message argument and no --file, the message is read from stdin.\n' +
+    'Exits with status 1 unless every recipient\'s DM reached publish.quorum relays.',
+  options: {
+    to: { type: 'string', multiple: true },
+    scheme: { type: 'string' },
+    file: { type: 'string' }
+  },
+
+  async run({ values, positionals }, { log }) {
+    const recipients = values.to ? [...values.to] : positionals.slice(0, 1);
+    const words = values.to ? positionals : positionals.slice(1);
+
+    if (recipients.length === 0) {
+      console.error('✗ No recipient; pass an npub, hex pubkey or NIP-05 identifier (or --to)');
+      return 1;
+    }
+
+    if (values.scheme && !Object.values(DM_SCHEMES).includes(values.scheme)) {
+      console.error(`✗ --scheme must be one of ${Object.values(DM_SCHEMES).join(', ')}`);
+      return 1;
+    }
+
+    if (values.file && words.length > 0) {
+      console.error('✗ Pass the message as arguments or with --file, not both');
+      return 1;
+    }
+
+    const message = getMessage(values, words).replace(/\r?\n$/, '');
+    if (!message.trim()) {
+      console.error('✗ The message is empty');
+      return 1;
+    }
+
+    const { config, privateKey, pubkey } = loadCliConfig(values, log);
+
+    // Resolve every recipient before sending anything, so a typo sends nothing
+    const targets = [];
+    for (const input of recipients) {
+      const recipientPubkey = await resolvePubkey(input);
+      if (!targets.some(target => target.pubkey === recipientPubkey)) {
+        targets.push({ input, pubkey: recipientPubkey });
+      }
+    }
+
+    const pool = new SimplePool();
+    const results = [];
+    const usedRelays = new Set(config.relays);
+
+    try {
+      const inboxRelays = await lookupInboxRelays(pool, config, targets.map(target => target.pubkey), log);
+
+      for (const target of targets) {
+        const scheme = values.scheme || config.replySchemes[target.pubkey] || config.defaultReplyScheme;
+        const relays = [...config.relays, ...(inboxRelays.get(target.pubkey) || [])];
+        relays.forEach(url => usedRelays.add(url));
+
+        const { event, selfCopy } = buildDirectMessage(privateKey, target.pubkey, message, scheme);
+        const relayResults = await publishToRelays(pool, relays, event);
+        const accepted = relayResults.filter(result => result.ok).length;
+        const quorum = Math.min(config.publish.quorum, relays.length);
+
+        const result = {
+          to: target.input,
+          npub: nip19.npubEncode(target.pubkey),
+          scheme,
+          eventId: event.id,
+          ok: accepted >= quorum,
+          accepted,
+          quorum,
+          relays: relayResults
+        };
+
+        // Losing our own copy does not fail the send, as in the daemon
+        if (selfCopy) {
+          const selfResults = await publishToRelays(pool, config.relays, selfCopy);
+          result.selfCopy = { eventId: selfCopy.id, accepted: selfResults.filter(entry => entry.ok).length };
+        }
+
+        results.push(result);
+      }
+    } finally {
+      pool.close([...usedRelays]);
+    }
+
+    const ok = results.every(result => result.ok);
+
+    if (values.format === 'json') {
+      printJson({ from: nip19.npubEncode(pubkey), ok, recipients: results });
+      return ok ? 0 : 1;
+    }
+
+    for (const result of results) {
+      console.log(`${result.ok ? '📤' : '❌'} ${result.npub}${result.to.includes('@') ? ` (${result.to})` : ''}` +
+        ` via ${SCHEME_LABELS[result.scheme]}: ${result.accepted}/${result.relays.length} relays`);
+      for (const relay of result.relays) {
+        console.log(relay.ok ? `   ✓ ${relay.url}` : `   ✗ ${relay.url}: ${relay.error}`);
+      }
+    }
+
+    if (!ok) {
+      console.error(`\n✗ ${results.filter(result => !result.ok).length} recipient(s) below the publish quorum`);
+    }
+    return ok ? 0 : 1;
+  }
+};
@@ -0,0 +1,136 @@
+/**
+ * Helpers shared by the nostr-claw commands in this directory
+ *
+ * Each command module exports { name, description, usage, help, options, run }.
+ * options are util.parseArgs options on top of the common flags in
+ * nostr-claw.js; run(args, { log }) resolves to an exit code, or to null when
+ * the command keeps the process running.
+ */
+
+const fs = require('fs');
+const { getPublicKey, nip19 } = require('nostr-tools');
+const nip05 = require('nostr-tools/nip05');
+const { hexToBytes } = require('nostr-tools/utils');
+
+const { findOpenClawConfig, loadOpenClawConfig, buildNostrConfig } = require('../lib/openclaw-config');
+
+// Channel keys replaced by the common --relay, --key-file and --key-env flags
+function channelOverrides(values) {
+  const overrides = {};
+
+  if (values.relay && values.relay.length > 0) {
+    overrides.relays = values.relay;
+  }
+  if (values['key-file']) {
+    overrides.privateKey = undefined;
+    overrides.privateKeyFile = values['key-file'];
+  }
+  if (values['key-env']) {
+    overrides.privateKey = `\${${values['key-env']}}`;
+    overrides.privateKeyFile = undefined;
+  }
+
+  return overrides;
+}
+
+/**
+ * Load openclaw.json with the command line overrides applied.
+ * Without a config file the tools still work from flags and the environment.
+ * Returns { config, privateKey (bytes), pubkey (hex), file }.
+ */
+function loadCliConfig(values, log) {
+  const configPath = findOpenClawConfig(values.config);
+  const file = configPath ? loadOpenClawConfig(configPath) : { config: {}, path: null };
+
+  if (file.path) {
+    log.debug(`  Loading config from ${file.path}`);
+  } else {
+    log.debug('  No openclaw.json found, using flags and the environment');
+  }
+
+  const config = buildNostrConfig(file.config, {
+    log,
+    source: file.path || 'the command line',
+    channelOverrides: channelOverrides(values)
+  });
+  log.addSecret(config.privateKey);
+
+  const privateKey = hexToBytes(config.privateKey);
+
+  return { config, privateKey, pubkey: getPublicKey(privateKey), file };
+}
+
+// npub or hex pubkey -> hex, or null
+function parsePubkey(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  if (value.startsWith('npub1') || value.startsWith('nprofile1')) {
+    try {
+      const { type, data } = nip19.decode(value);
+      return type === 'npub' ? data : data.pubkey;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return /^[a-f0-9]{64}$/i.test(value) ? value.toLowerCase() : null;
+}
+
+// npub, hex or NIP-05 identifier (name@domain) -> hex; throws when it cannot be resolved
+async function resolvePubkey(value) {
+  const pubkey = parsePubkey(value);
+  if (pubkey) {
+    return pubkey;
+  }
+
+  if (!nip05.isNip05(value)) {
+    throw new Error(`${value} is not an npub, hex pubkey or NIP-05 identifier`);
+  }
+
+  let profile;
+  try {
+    profile = await nip05.queryProfile(value);
+  } catch (error) {
+    throw new Error(`NIP-05 lookup of ${value} failed: ${error.message}`);
+  }
+  if (!profile) {
+    throw new Error(`NIP-05 lookup of ${value} found no pubkey`);
+  }
+  return profile.pubkey;
+}
+
+// Text from a file, "-" meaning stdin
+function readInput(file) {
+  return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+}
+
+// Publish one event to each relay separately; returns [{ url, ok, message|error, latencyMs }]
+async function publishToRelays(pool, relays, event) {
+  return Promise.all(relays.map(async url => {
+    const started = Date.now();
+    try {
+      const [publishing] = pool.publish([url], event);
+      const message = await publishing;
+      return { url, ok: true, message: message || '', latencyMs: Date.now() - started };
+    } catch (error) {
+      // nostr-tools rejects with plain strings for relay OK=false answers
+      return { url, ok: false, error: error?.message || String(error), latencyMs: Date.now() - started };
+    }
+  }));
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+module.exports = {
+  channelOverrides,
+  loadCliConfig,
+  parsePubkey,
+  resolvePubkey,
+  readInput,
+  publishToRelays,
+  printJson
+};
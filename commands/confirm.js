@@ -0,0 +1,17 @@
+/**
+ * 🦀confirm <code> - run a command that was waiting for confirmation
+ */
+
+module.exports = {
+  name: 'confirm',
+  description: 'Confirm a destructive command (restart, new session, ...) with the code it replied with',
+  args: [
+    { name: 'code', type: 'string', required: true }
+  ],
+  cooldown: 0, // The confirmed command has its own cooldown
+  role: 'viewer', // Only confirms the sender's own requests, which were role-checked
+
+  async run(ctx, args) {
+    return ctx.daemon.confirmPendingCommand(ctx.sender, args.code);
+  }
+};
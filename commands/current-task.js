@@ -0,0 +1,58 @@
+/**
+ * 🦀current task - summarize what the OpenClaw gateway is working on
+ */
+
+module.exports = {
+  name: 'current task',
+  aliases: ['task'],
+  description: 'Get summary of current task/activity via OpenClaw API',
+  cooldown: 30 * 1000,
+  role: 'viewer',
+
+  async run(ctx) {
+    try {
+      const response = await ctx.daemon.gatewayFetch('/status', {
+        method: 'GET',
+        signal: AbortSignal.timeout(5000)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Gateway status check failed: HTTP ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      if (data.activeAgents && data.activeAgents.length > 0) {
+        const agents = data.activeAgents.map(a => {
+          return `- Agent: ${a.id || 'unknown'} (${a.model || 'default model'})`;
+        }).join('\n');
+
+        return `📋 Current Task Summary:\n\nActive agents: ${data.activeAgents.length}\n${agents}`;
+      }
+
+      const sessionsResponse = await ctx.daemon.gatewayFetch('/sessions', {
+        method: 'GET',
+        signal: AbortSignal.timeout(5000)
+      });
+
+      if (sessionsResponse.ok) {
+        const sessionsData = await sessionsResponse.json();
+        if (sessionsData.sessions && sessionsData.sessions.length > 0) {
+          const recentSessions = sessionsData.sessions.slice(0, 3).map(s => {
+            const age = Math.floor((Date.now() - (s.createdAt || Date.now())) / 1000 / 60);
+            return `- Session ${s.id || s.key || 'unknown'} (${age} min ago)`;
+          }).join('\n');
+
+          return `📋 Current Task Summary:\n\nRecent sessions:\n${recentSessions}`;
+        }
+      }
+
+      return `📋 Current Task Summary:\n\nNo active tasks detected. OpenClaw is ready and waiting for commands.`;
+    } catch (error) {
+      if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+        throw new Error('Timeout waiting for current task. The gateway may be busy.');
+      }
+      throw new Error(`Failed to get current task: ${error.message}`);
+    }
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * 🦀help - list the sender's commands plus encryption, trigger and agent notes
+ */
+
+const { roleAllows } = require('../lib/command-registry');
+
+module.exports = {
+  name: 'help',
+  description: 'Show this help message',
+  cooldown: 5 * 1000,
+  role: 'viewer',
+
+  async run(ctx) {
+    // Only list what this sender's role is allowed to run
+    const commands = ctx.registry.list().filter(command => roleAllows(ctx.role, command.role));
+
+    const sections = [
+      `🦀 CLAW COMMANDS\n\nCommands available to you (${ctx.role}):\n\n${ctx.registry.formatHelp(commands)}`,
+
+      `🔒 Encryption Security:
+- Replies use the same scheme as your message (NIP-04, NIP-44 or NIP-17)
+- NIP-17 gift-wrapped DMs hide sender, recipient and timing from relays
+- The operator can pin a scheme per sender in the config`,
+
+      `Auto-Reply Triggers:
+${ctx.daemon.autoReplyTriggers.join(', ')}
+
+Send any of these words to get an auto-reply with OpenClaw status.`,
+
+      `🤖 Agent:
+Any other message is sent to your OpenClaw agent session and the answer is sent back here.`
+    ];
+
+    return sections.join('\n\n---\n\n');
+  }
+};
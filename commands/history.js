@@ -0,0 +1,66 @@
+/**
+ * 🦀history [n] - show the sender's last n exchanges from the encrypted archive
+ */
+
+const DEFAULT_COUNT = 5;
+const MAX_COUNT = 20;
+const MAX_MESSAGE_CHARS = 300;
+
+const HISTORY_COMMAND = /^🦀\s*history\b/i;
+
+function formatTime(createdAt) {
+  return new Date(createdAt * 1000).toISOString().substring(0, 16).replace('T', ' ') + ' UTC';
+}
+
+function shorten(message) {
+  const text = message.trim();
+  return text.length > MAX_MESSAGE_CHARS ? `${text.substring(0, MAX_MESSAGE_CHARS)}…` : text;
+}
+
+module.exports = {
+  name: 'history',
+  description: `Show your last exchanges with the bot (default ${DEFAULT_COUNT}, at most ${MAX_COUNT})`,
+  args: [
+    { name: 'n', type: 'number', default: DEFAULT_COUNT }
+  ],
+  cooldown: 10 * 1000,
+  role: 'viewer',
+
+  async run(ctx, args) {
+    const count = Math.floor(args.n);
+    if (count < 1 || count > MAX_COUNT) {
+      return `❌ Error: n must be between 1 and ${MAX_COUNT}`;
+    }
+
+    const history = ctx.daemon.getHistory(ctx.sender);
+    if (!history) {
+      return '📜 The message archive is turned off on this bot.';
+    }
+
+    // This request is already in the archive, and earlier ones would repeat it
+    const exchanges = history.exchanges
+      .filter(exchange => !(exchange.inbound && HISTORY_COMMAND.test(exchange.inbound.message)))
+      .slice(-count);
+
+    if (exchanges.length === 0) {
+      return '📜 No earlier messages archived yet.';
+    }
+
+    const blocks = exchanges.map(({ inbound, replies }) => {
+      const lines = [`🕐 ${formatTime((inbound || replies[0]).createdAt)}`];
+      if (inbound) {
+        lines.push(`👤 ${shorten(inbound.message)}`);
+      }
+      for (const reply of replies) {
+        lines.push(`🤖 ${shorten(reply.message)}`);
+      }
+      return lines.join('\n');
+    });
+
+    let reply = `📜 Your last ${exchanges.length} exchange(s):\n\n${blocks.join('\n\n')}`;
+    if (history.skipped > 0) {
+      reply += `\n\n⚠️ ${history.skipped} archived message(s) could not be read`;
+    }
+    return reply;
+  }
+};
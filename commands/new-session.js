@@ -0,0 +1,25 @@
+/**
+ * 🦀new session - open a fresh agent session and make it the sender's active one
+ */
+
+module.exports = {
+  name: 'new session',
+  description: 'Start a new chat session (equivalent to /new) and make it your active session',
+  cooldown: 30 * 1000,
+  role: 'operator',
+  confirm: true,
+
+  async run(ctx) {
+    try {
+      const sessionKey = await ctx.daemon.createAgentSession(ctx.sender);
+      ctx.daemon.bindSession(ctx.sender, sessionKey);
+
+      return `✅ New session started!\n\nSession: ${sessionKey}\n\nYour messages now go to this fresh session.`;
+    } catch (error) {
+      if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+        throw new Error('Timeout waiting for new session. The gateway may be busy.');
+      }
+      throw new Error(`Failed to start new session: ${error.message}. Please use /new in your OpenClaw interface to start a new session manually.`);
+    }
+  }
+};
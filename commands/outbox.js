@@ -0,0 +1,46 @@
+/**
+ * 🦀outbox - show the sender's replies that have not reached enough relays
+ */
+
+const STATUS_ICONS = {
+  pending: '⏳',
+  partial: '📡',
+  delivered: '✅',
+  expired: '⌛'
+};
+
+function minutesAgo(timestamp) {
+  return Math.max(0, Math.floor((Date.now() - timestamp) / 1000 / 60));
+}
+
+module.exports = {
+  name: 'outbox',
+  description: 'Show your replies that are still waiting to be delivered',
+  cooldown: 10 * 1000,
+  role: 'viewer',
+
+  async run(ctx) {
+    const items = ctx.daemon.getOutbox(ctx.sender);
+    const undelivered = items.filter(item => item.status === 'pending' || item.status === 'partial');
+
+    if (items.length === 0) {
+      return '📭 Outbox is empty. All replies to you reached the relays.';
+    }
+
+    const lines = items.map(item => {
+      let line = `${STATUS_ICONS[item.status]} ${item.id.substring(0, 8)} ${item.label}: ${item.status}` +
+        ` (${item.accepted.length}/${item.quorum} relays, ${item.attempts} attempts, queued ${minutesAgo(item.createdAt)} min ago)`;
+
+      if (item.nextAttemptAt) {
+        line += `\n   Next retry in ${Math.max(0, Math.ceil((item.nextAttemptAt - Date.now()) / 1000))}s`;
+      }
+      if (item.lastError && item.status !== 'delivered') {
+        line += `\n   Last error: ${item.lastError}`;
+      }
+
+      return line;
+    });
+
+    return `📤 Outbox (${undelivered.length} undelivered):\n\n${lines.join('\n\n')}`;
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * 🦀pair - list, approve or reject pending pairing requests (dmPolicy: pairing)
+ */
+
+const { nip19 } = require('nostr-tools');
+
+module.exports = {
+  name: 'pair',
+  description: 'Manage pairing requests (dmPolicy: pairing)',
+  args: [
+    { name: 'action', type: 'string', choices: ['list', 'approve', 'reject'], default: 'list' },
+    { name: 'code', type: 'string' }
+  ],
+  cooldown: 2 * 1000,
+  role: 'admin',
+
+  async run(ctx, args) {
+    if (args.action === 'list') {
+      return `🔑 Pending Pairing Requests:\n\n${ctx.daemon.formatPendingPairings()}`;
+    }
+
+    if (!args.code) {
+      return `Usage: 🦀pair ${args.action} <code>`;
+    }
+
+    const pubkey = ctx.daemon.resolvePairing(args.code, args.action === 'approve');
+    if (!pubkey) {
+      return `❌ No pending pairing request with code ${args.code.toUpperCase()}`;
+    }
+
+    return `✅ Pairing ${args.action === 'approve' ? 'approved' : 'rejected'}: ${nip19.npubEncode(pubkey)}`;
+  }
+};
@@ -0,0 +1,103 @@
+/**
+ * 🦀relays - probe every configured relay and report latency and errors
+ */
+
+const { SimplePool } = require('nostr-tools');
+
+module.exports = {
+  name: 'relays',
+  description: 'Check health status of all configured Nostr relays (connection status, latency, errors)',
+  cooldown: 30 * 1000,
+  role: 'viewer',
+
+  async run(ctx) {
+    const { relayHealth } = ctx.daemon;
+
+    try {
+      const pool = new SimplePool();
+      const results = [];
+
+      for (const relayUrl of ctx.daemon.relays) {
+        const startTime = Date.now();
+
+        try {
+          await pool.ensureRelay(relayUrl);
+
+          const events = await pool.querySync(
+            [relayUrl],
+            {
+              kinds: [4],
+              '#p': [ctx.daemon.myPubkey],
+              limit: 1
+            }
+          );
+
+          const latency = Date.now() - startTime;
+
+          relayHealth.set(relayUrl, {
+            connected: true,
+            lastConnected: Date.now(),
+            lastError: null,
+            latency
+          });
+
+          results.push({
+            url: relayUrl,
+            status: '✅ Online',
+            latency: `${latency}ms`,
+            eventsFound: events.length
+          });
+
+        } catch (error) {
+          const latency = Date.now() - startTime;
+          const errorMsg = error.message || 'Connection failed';
+
+          relayHealth.set(relayUrl, {
+            connected: false,
+            lastConnected: null,
+            lastError: errorMsg,
+            latency
+          });
+
+          results.push({
+            url: relayUrl,
+            status: '❌ Offline/Error',
+            latency: `${latency}ms`,
+            error: errorMsg.substring(0, 50) + (errorMsg.length > 50 ? '...' : '')
+          });
+        }
+      }
+
+      pool.close(ctx.daemon.relays);
+
+      const onlineCount = results.filter(r => r.status.includes('Online')).length;
+      const offlineCount = results.length - onlineCount;
+
+      let summary = '📡 Relay Health Summary\n\n';
+      summary += `Total Relays: ${results.length}\n`;
+      summary += `✅ Online: ${onlineCount}\n`;
+      summary += `❌ Offline/Error: ${offlineCount}\n\n`;
+
+      for (const result of results) {
+        summary += `${result.status} ${result.url}\n`;
+        summary += `   Latency: ${result.latency}`;
+
+        if (result.eventsFound !== undefined) {
+          summary += ` | Recent DMs: ${result.eventsFound}`;
+        }
+
+        if (result.error) {
+          summary += ` | Error: ${result.error}`;
+        }
+
+        summary += '\n';
+      }
+
+      summary += `\n💡 Tip: Healthy relays respond in <1000ms. Consider removing offline relays from config.`;
+
+      return summary;
+    } catch (error) {
+      throw new Error(`Failed to check relay health: ${error.message}`);
+    }
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * 🦀restart - restart the OpenClaw gateway
+ */
+
+module.exports = {
+  name: 'restart',
+  description: 'Restart OpenClaw gateway',
+  cooldown: 60 * 1000, // Restart takes ~30s
+  role: 'admin',
+  confirm: true,
+
+  async run(ctx) {
+    try {
+      const { stdout, stderr } = await ctx.daemon.exec('openclaw gateway restart', {
+        timeout: 60000 // 60 second timeout (restart takes ~30s)
+      });
+
+      let output = stdout || '';
+      if (stderr && stderr.trim()) {
+        output += `\n[Output]\n${stderr}`;
+      }
+
+      return `🔄 Gateway restart initiated!\n\n${output}\n\nNote: It will take approximately 30 seconds for the gateway to come back online. Please wait before sending new commands.`;
+    } catch (error) {
+      throw new Error(`Failed to restart gateway: ${error.message}`);
+    }
+  }
+};
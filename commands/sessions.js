@@ -0,0 +1,26 @@
+/**
+ * 🦀sessions - list the sender's agent sessions
+ */
+
+module.exports = {
+  name: 'sessions',
+  description: 'List your sessions and show which one is active',
+  cooldown: 5 * 1000,
+  role: 'operator',
+
+  async run(ctx) {
+    const binding = ctx.daemon.getSessionBinding(ctx.sender);
+
+    if (!binding || binding.sessions.length === 0) {
+      return `🧵 No sessions yet.\n\nSend any message to open one, or use 🦀new session.`;
+    }
+
+    const lines = binding.sessions.map(s => {
+      const marker = s.key === binding.active ? '▶️' : '  ';
+      const age = Math.floor((Date.now() - s.lastUsedAt) / 1000 / 60);
+      return `${marker} ${s.key} (last used ${age} min ago)`;
+    });
+
+    return `🧵 Your Sessions:\n\n${lines.join('\n')}\n\nUse 🦀switch <key> to change the active session.`;
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * 🦀status - run `openclaw gateway status` and return its output
+ */
+
+module.exports = {
+  name: 'status',
+  description: 'Run `openclaw gateway status` and return full output',
+  cooldown: 10 * 1000,
+  role: 'viewer',
+
+  async run(ctx) {
+    try {
+      const { stdout, stderr } = await ctx.daemon.exec('openclaw gateway status', {
+        timeout: 10000 // 10 second timeout
+      });
+
+      let output = stdout || '';
+      if (stderr && stderr.trim()) {
+        output += `\n[Warning output]\n${stderr}`;
+      }
+
+      if (!output.trim()) {
+        throw new Error('No output received from gateway status command');
+      }
+
+      return `📊 Gateway Status:\n${output}`;
+    } catch (error) {
+      throw new Error(`Failed to get gateway status: ${error.message}`);
+    }
+  }
+};
@@ -0,0 +1,114 @@
+/**
+ * 🦀subscribe / 🦀unsubscribe - gateway notifications by DM
+ *
+ *   🦀subscribe [all|gateway|tasks|errors]    Start (or resume) notifications
+ *   🦀unsubscribe [all|gateway|tasks|errors]  Stop them
+ *   🦀unsubscribe 2h                          Mute everything for a while (m or h, plain numbers are minutes)
+ */
+
+const { NOTIFY_TOPICS } = require('../lib/gateway-watcher');
+
+const TOPICS = Object.keys(NOTIFY_TOPICS);
+
+const TOPIC_LABELS = {
+  gateway: 'gateway offline/online',
+  tasks: 'finished tasks',
+  errors: 'session errors'
+};
+
+const MAX_MUTE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// "90", "90m" or "2h" -> milliseconds, or null
+function parseMuteDuration(value) {
+  const match = /^(\d+)(m|h)?$/i.exec(value);
+  if (!match) {
+    return null;
+  }
+  const minutes = parseInt(match[1], 10) * (match[2] && match[2].toLowerCase() === 'h' ? 60 : 1);
+  return minutes > 0 ? minutes * 60 * 1000 : null;
+}
+
+function describe(subscription) {
+  if (!subscription || subscription.topics.length === 0) {
+    return '🔕 You are not subscribed to gateway notifications.';
+  }
+
+  const lines = [`🔔 Subscribed to: ${subscription.topics.map(topic => TOPIC_LABELS[topic]).join(', ')}`];
+  if (subscription.mutedUntil && subscription.mutedUntil > Date.now()) {
+    lines.push(`🔇 Muted until ${new Date(subscription.mutedUntil).toISOString().substring(0, 16).replace('T', ' ')} UTC`);
+  }
+  return lines.join('\n');
+}
+
+function topicsFor(value) {
+  return value === 'all' ? TOPICS : [value];
+}
+
+module.exports = [
+  {
+    name: 'subscribe',
+    description: 'Get a DM when the gateway goes offline or comes back, a task finishes or a session fails',
+    args: [
+      { name: 'topic', type: 'string', choices: ['all', ...TOPICS], default: 'all' }
+    ],
+    cooldown: 2 * 1000,
+    role: 'operator',
+
+    async run(ctx, args) {
+      const current = ctx.daemon.getSubscription(ctx.sender);
+      const topics = TOPICS.filter(topic => (current ? current.topics : []).includes(topic) || topicsFor(args.topic).includes(topic));
+
+      const subscription = {
+        topics,
+        mutedUntil: null,
+        subscribedAt: current ? current.subscribedAt : Date.now()
+      };
+      ctx.daemon.setSubscription(ctx.sender, subscription);
+
+      let reply = describe(subscription);
+      if (!ctx.daemon.notificationsEnabled) {
+        reply += '\n\n⚠️ Notifications are turned off on this bot (notifications.enabled), so none will be sent until they are turned on.';
+      }
+      return `${reply}\n\nUse 🦀unsubscribe to stop, or 🦀unsubscribe 1h to mute for an hour.`;
+    }
+  },
+  {
+    name: 'unsubscribe',
+    description: 'Stop gateway notifications, or mute them for a while (🦀unsubscribe 2h)',
+    args: [
+      { name: 'what', type: 'string', default: 'all' }
+    ],
+    cooldown: 2 * 1000,
+    role: 'operator',
+
+    async run(ctx, args) {
+      const current = ctx.daemon.getSubscription(ctx.sender);
+      const what = args.what.toLowerCase();
+
+      if (!current) {
+        return describe(null);
+      }
+
+      if (what !== 'all' && !TOPICS.includes(what)) {
+        const muteMs = parseMuteDuration(what);
+        if (!muteMs) {
+          return `❌ Error: Expected all, ${TOPICS.join(', ')} or a mute duration like 30m or 2h`;
+        }
+
+        const subscription = { ...current, mutedUntil: Date.now() + Math.min(muteMs, MAX_MUTE_MS) };
+        ctx.daemon.setSubscription(ctx.sender, subscription);
+        return `${describe(subscription)}\n\nUse 🦀subscribe to unmute.`;
+      }
+
+      const topics = current.topics.filter(topic => !topicsFor(what).includes(topic));
+      if (topics.length === 0) {
+        ctx.daemon.setSubscription(ctx.sender, null);
+        return describe(null);
+      }
+
+      const subscription = { ...current, topics };
+      ctx.daemon.setSubscription(ctx.sender, subscription);
+      return describe(subscription);
+    }
+  }
+];
@@ -0,0 +1,77 @@
+/**
+ * 🦀switch <key> [force] - rebind the sender to another agent session
+ *
+ * Senders can only pick their own sessions: ones in their binding, or ones
+ * the gateway reports as created for them. Admins can add "force" to bind a
+ * session that belongs to someone else.
+ */
+
+const { roleAllows } = require('../lib/command-registry');
+
+// The gateway echoes the sender given when the session was created
+function sessionOwner(session) {
+  return session?.sender || session?.metadata?.sender || null;
+}
+
+module.exports = {
+  name: 'switch',
+  description: 'Send your messages to another of your sessions (key prefix is enough for known ones)',
+  args: [
+    { name: 'key', type: 'string', required: true },
+    { name: 'force', type: 'string', choices: ['force'] }
+  ],
+  cooldown: 5 * 1000,
+  role: 'operator',
+
+  async run(ctx, args) {
+    const requestedKey = args.key;
+    const force = args.force === 'force';
+
+    if (force && !roleAllows(ctx.role, 'admin')) {
+      return '❌ Error: Only admins can switch to another sender\'s session';
+    }
+
+    // Known sessions can be selected by key prefix
+    const binding = ctx.daemon.getSessionBinding(ctx.sender);
+    const candidates = (binding?.sessions || []).filter(s => s.key.startsWith(requestedKey));
+
+    if (candidates.length > 1) {
+      return `⚠️ "${requestedKey}" matches ${candidates.length} sessions. Please use a longer key.`;
+    }
+
+    let sessionKey = candidates.length === 1 ? candidates[0].key : null;
+
+    // Otherwise the gateway has to know the exact key, and who it belongs to
+    if (!sessionKey) {
+      let session;
+      try {
+        const response = await ctx.daemon.gatewayFetch(`/sessions/${encodeURIComponent(requestedKey)}`, {
+          method: 'GET',
+          signal: AbortSignal.timeout(5000)
+        });
+
+        if (response.status === 404) {
+          return `❌ Session ${requestedKey} not found.`;
+        }
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        session = await response.json().catch(() => null);
+      } catch (error) {
+        throw new Error(`Failed to look up session: ${error.message}`);
+      }
+
+      const owner = sessionOwner(session);
+      if (owner !== ctx.sender && owner !== ctx.senderNpub && !force) {
+        // Same answer as an unknown key, so keys of other senders cannot be probed
+        return `❌ Session ${requestedKey} not found.` +
+          (roleAllows(ctx.role, 'admin') ? `\n\nIt was not created for you; use 🦀switch ${requestedKey} force to bind it anyway.` : '');
+      }
+
+      sessionKey = requestedKey;
+    }
+
+    ctx.daemon.bindSession(ctx.sender, sessionKey);
+    return `🔀 Switched to session ${sessionKey}`;
+  }
+};
@@ -0,0 +1,274 @@
+/**
+ * Command registry for 🦀 remote control commands
+ *
+ * Each command is a module exporting:
+ *
+ *   {
+ *     name: 'switch',                 // What the sender types after 🦀 (may contain spaces)
+ *     aliases: ['use'],               // Optional alternative names
+ *     description: 'Switch session',  // One line for 🦀help
+ *     args: [                         // Optional argument schema, in order
+ *       { name: 'key', type: 'string', required: true },
+ *       { name: 'count', type: 'number', default: 10 },
+ *       { name: 'action', type: 'string', choices: ['list', 'approve'] },
+ *       { name: 'text', type: 'text' }  // Rest of the message, spaces kept
+ *     ],
+ *     cooldown: 5000,                 // Milliseconds, global and per sender
+ *     role: 'viewer',                 // Least privileged role allowed to run it (viewer < operator < admin)
+ *     confirm: false,                 // true: only run after the sender replies 🦀confirm <code>
+ *     async run(ctx, args) { ... }    // Returns the reply text
+ *   }
+ *
+ * A command only matches when the message starts with it, so "I said
+ * 🦀restart yesterday" does not restart anything.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const COMMAND_PREFIX = '🦀';
+const DEFAULT_COOLDOWN_MS = 30 * 1000;
+const DEFAULT_ROLE = 'viewer';
+const ARG_TYPES = ['string', 'number', 'text'];
+const ROLES = ['viewer', 'operator', 'admin']; // Each role can do everything the ones before it can
+
+// True if a sender holding `role` may run a command that requires `requiredRole`
+function roleAllows(role, requiredRole) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+class CommandRegistry {
+  constructor() {
+    this.commands = new Map(); // name -> command
+    this.aliases = new Map();  // lower-case name or alias -> command
+  }
+
+  register(definition) {
+    const command = normalizeDefinition(definition);
+
+    for (const alias of [command.name, ...command.aliases]) {
+      const key = alias.toLowerCase();
+      const existing = this.aliases.get(key);
+      if (existing) {
+        throw new Error(`Command "${alias}" is already registered by ${existing.name}`);
+      }
+    }
+
+    this.commands.set(command.name, command);
+    for (const alias of [command.name, ...command.aliases]) {
+      this.aliases.set(alias.toLowerCase(), command);
+    }
+
+    return command;
+  }
+
+  // Load every .js module in a directory; a module may export one command or an array
+  loadDirectory(directory) {
+    const result = { loaded: [], errors: [] };
+
+    if (!fs.existsSync(directory)) {
+      return result;
+    }
+
+    const files = fs.readdirSync(directory).filter(file => file.endsWith('.js')).sort();
+
+    for (const file of files) {
+      const modulePath = path.join(directory, file);
+
+      try {
+        const exported = require(modulePath);
+        const definitions = Array.isArray(exported) ? exported : [exported];
+
+        for (const definition of definitions) {
+          result.loaded.push(this.register(definition).name);
+        }
+      } catch (error) {
+        result.errors.push({ file: modulePath, message: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  get(name) {
+    return this.commands.get(name) || this.aliases.get(String(name).toLowerCase()) || null;
+  }
+
+  list() {
+    return Array.from(this.commands.values());
+  }
+
+  /**
+   * Parse a message into a command invocation.
+   * Returns null when the message is not a command at all, otherwise
+   * { command, args } on success, { command, error } for bad arguments, or
+   * { command: null, name } for an unknown command.
+   */
+  parse(message) {
+    const text = String(message).trim();
+    if (!text.startsWith(COMMAND_PREFIX)) {
+      return null;
+    }
+
+    const body = text.slice(COMMAND_PREFIX.length).trimStart();
+    const lower = body.toLowerCase();
+
+    // Longest alias first, so "new session" wins over a shorter alias
+    const candidates = Array.from(this.aliases.keys()).sort((a, b) => b.length - a.length);
+
+    for (const alias of candidates) {
+      if (!lower.startsWith(alias)) {
+        continue;
+      }
+
+      const next = body.charAt(alias.length);
+      if (next && !/\s/.test(next)) {
+        continue; // "🦀sessions" must not match "session"
+      }
+
+      const command = this.aliases.get(alias);
+      const parsed = parseArgs(command, body.slice(alias.length).trim());
+      return { command, ...parsed };
+    }
+
+    return { command: null, name: body.split(/\s+/)[0] || '' };
+  }
+
+  formatUsage(command) {
+    const args = command.args.map(arg => {
+      const label = arg.choices ? arg.choices.join('|') : arg.name;
+      return arg.required ? `<${label}>` : `[${label}]`;
+    });
+
+    return [`${COMMAND_PREFIX}${command.name}`, ...args].join(' ');
+  }
+
+  formatHelp(commands = this.list()) {
+    return commands.map(command => {
+      const lines = [this.formatUsage(command), `  ${command.description}`];
+
+      if (command.aliases.length > 0) {
+        lines.push(`  Aliases: ${command.aliases.map(alias => `${COMMAND_PREFIX}${alias}`).join(', ')}`);
+      }
+
+      if (command.confirm) {
+        lines.push(`  Asks for ${COMMAND_PREFIX}confirm <code> before running`);
+      }
+
+      if (command.cooldown > 0) {
+        lines.push(`  Cooldown: ${formatDuration(command.cooldown)}`);
+      }
+
+      return lines.join('\n');
+    }).join('\n\n');
+  }
+}
+
+function normalizeDefinition(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('Command module must export an object');
+  }
+
+  const { name, run } = definition;
+
+  if (!name || typeof name !== 'string' || name !== name.trim()) {
+    throw new Error('Command needs a name');
+  }
+
+  if (typeof run !== 'function') {
+    throw new Error(`Command ${name} needs a run(ctx, args) function`);
+  }
+
+  const args = (definition.args || []).map(arg => {
+    const type = arg.type || 'string';
+    if (!arg.name || !ARG_TYPES.includes(type)) {
+      throw new Error(`Command ${name} has an invalid argument definition`);
+    }
+    return { ...arg, type, required: Boolean(arg.required) };
+  });
+
+  const role = definition.role || DEFAULT_ROLE;
+  if (!ROLES.includes(role)) {
+    throw new Error(`Command ${name} has an unknown role: ${role}`);
+  }
+
+  const textIndex = args.findIndex(arg => arg.type === 'text');
+  if (textIndex !== -1 && textIndex !== args.length - 1) {
+    throw new Error(`Command ${name}: a text argument must come last`);
+  }
+
+  return {
+    name,
+    aliases: definition.aliases || [],
+    description: definition.description || '',
+    args,
+    cooldown: definition.cooldown !== undefined ? definition.cooldown : DEFAULT_COOLDOWN_MS,
+    role,
+    confirm: Boolean(definition.confirm),
+    run
+  };
+}
+
+function parseArgs(command, input) {
+  const args = {};
+  let rest = input;
+
+  for (const arg of command.args) {
+    let raw;
+
+    if (arg.type === 'text') {
+      raw = rest;
+      rest = '';
+    } else {
+      const match = rest.match(/^(\S+)\s*/);
+      raw = match ? match[1] : '';
+      rest = match ? rest.slice(match[0].length) : '';
+    }
+
+    if (!raw) {
+      if (arg.required) {
+        return { error: `Missing ${arg.name}` };
+      }
+      args[arg.name] = arg.default !== undefined ? arg.default : null;
+      continue;
+    }
+
+    if (arg.type === 'number') {
+      const value = Number(raw);
+      if (!Number.isFinite(value)) {
+        return { error: `${arg.name} must be a number` };
+      }
+      args[arg.name] = value;
+      continue;
+    }
+
+    if (arg.choices && !arg.choices.includes(raw.toLowerCase())) {
+      return { error: `${arg.name} must be one of: ${arg.choices.join(', ')}` };
+    }
+
+    args[arg.name] = arg.choices ? raw.toLowerCase() : raw;
+  }
+
+  if (rest) {
+    return { error: `Unexpected argument: ${rest.split(/\s+/)[0]}` };
+  }
+
+  return { args };
+}
+
+function formatDuration(ms) {
+  if (ms >= 60 * 1000 && ms % (60 * 1000) === 0) {
+    const minutes = ms / 60 / 1000;
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+
+  const seconds = Math.round(ms / 1000);
+  return `${seconds} second${seconds === 1 ? '' : 's'}`;
+}
+
+module.exports = {
+  CommandRegistry,
+  COMMAND_PREFIX,
+  ROLES,
+  roleAllows
+};
@@ -0,0 +1,321 @@
+/**
+ * Schema for the Nostr channel block of openclaw.json
+ *
+ *   const { errors, warnings, channelPath } = validateOpenClawConfig(openclawConfig);
+ *   // errors:   [{ path: 'channels.entries.nost.relays[2]', message: 'must be a ws:// or wss:// URL' }]
+ *   // warnings: [{ path: 'channels.entries.nost.relayz', message: 'unknown key' }]
+ *
+ * Errors make the config unusable: the daemon refuses to start with it and a
+ * reload keeps the previous one. Warnings (unknown keys, a second channel
+ * block that is ignored) are only logged.
+ *
+ * The schema is a plain object tree. Each node has a type (object, array,
+ * string, boolean, integer, number) plus optional constraints: properties and
+ * values (schema for every value of a map) for objects, items and minItems
+ * for arrays, enum and format for strings, min/max for numbers.
+ */
+
+// Where the channel block may live, in order of precedence
+const CHANNEL_PATHS = [
+  ['channels', 'entries', 'nost'],
+  ['channels', 'nostr'],
+  ['nostr']
+];
+
+const FORMATS = {
+  relay: {
+    test: value => /^wss?:\/\/[^\s/?#]+[^\s]*$/i.test(value),
+    message: 'must be a ws:// or wss:// URL'
+  },
+  pubkey: {
+    test: value => /^[a-f0-9]{64}$/i.test(value) || /^npub1[a-z0-9]{58}$/.test(value),
+    message: 'must be an npub or a 64-character hex pubkey'
+  },
+  privateKey: {
+    test: value => /^[a-f0-9]{64}$/i.test(value) || /^nsec1[a-z0-9]{58}$/.test(value) ||
+      /^ncryptsec1[a-z0-9]+$/.test(value) || /^\$\{[A-Za-z_][A-Za-z0-9_]*\}$/.test(value),
+    message: 'must be an nsec, ncryptsec, 64-character hex private key or a whole-value ${VAR} placeholder'
+  },
+  envVar: {
+    test: value => /^[A-Za-z_][A-Za-z0-9_]*$/.test(value),
+    message: 'must be an environment variable name'
+  },
+  httpUrl: {
+    test: value => /^https?:\/\/\S+$/i.test(value),
+    message: 'must be an http:// or https:// URL'
+  },
+  email: {
+    test: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    message: 'must look like name@domain'
+  }
+};
+
+const ROLE_NAMES = ['viewer', 'operator', 'admin'];
+const REPLY_SCHEMES = ['nip04', 'nip44', 'nip17'];
+
+const bool = { type: 'boolean' };
+const str = { type: 'string' };
+const positiveInt = { type: 'integer', min: 1 };
+const relayList = { type: 'array', items: { type: 'string', format: 'relay' } };
+const pubkeyList = { type: 'array', items: { type: 'string', format: 'pubkey' } };
+
+const NOSTR_CHANNEL_SCHEMA = {
+  type: 'object',
+  properties: {
+    enabled: bool,
+    privateKey: { type: 'string', format: 'privateKey' },
+    privateKeyFile: str,
+    keyPassphraseEnv: { type: 'string', format: 'envVar' },
+    keyPassphraseFile: str,
+    relays: { ...relayList, minItems: 1 },
+    dmPolicy: { type: 'string', enum: ['allowlist', 'open', 'pairing'] },
+    allowFrom: { type: 'array', items: { type: 'string', format: 'pubkey', allow: ['*'] } },
+    admins: pubkeyList,
+    roles: { type: 'object', keyFormat: 'pubkey', values: { type: 'string', enum: ROLE_NAMES } },
+    defaultRole: { type: 'string', enum: ROLE_NAMES },
+    replySchemes: { type: 'object', keyFormat: 'pubkey', values: { type: 'string', enum: REPLY_SCHEMES } },
+    defaultReplyScheme: { type: 'string', enum: REPLY_SCHEMES },
+    name: str,
+    profile: {
+      type: 'object',
+      properties: {
+        name: str,
+        displayName: str,
+        display_name: str,
+        about: str,
+        picture: { type: 'string', format: 'httpUrl' },
+        banner: { type: 'string', format: 'httpUrl' },
+        website: { type: 'string', format: 'httpUrl' },
+        nip05: { type: 'string', format: 'email' },
+        lud16: { type: 'string', format: 'email' }
+      }
+    },
+    gatewayUrl: { type: 'string', format: 'httpUrl' },
+    stateDir: str,
+    commandsDir: str,
+    watchConfig: bool,
+    agent: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        timeoutMs: positiveInt,
+        maxChunkLength: positiveInt
+      }
+    },
+    replies: {
+      type: 'object',
+      properties: {
+        maxChunkBytes: { type: 'integer', min: 100 },
+        numbered: bool,
+        stripNoise: bool,
+        chunkDelayMs: { type: 'integer', min: 0 }
+      }
+    },
+    http: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        host: str,
+        port: { type: 'integer', min: 1, max: 65535 }
+      }
+    },
+    publish: {
+      type: 'object',
+      properties: {
+        quorum: positiveInt
+      }
+    },
+    outbox: {
+      type: 'object',
+      properties: {
+        ttlHours: { type: 'number', min: 0, exclusiveMin: true }
+      }
+    },
+    archive: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        maxPerSender: positiveInt
+      }
+    },
+    notifications: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        pollIntervalSeconds: { type: 'integer', min: 5 },
+        offlineAfterFailures: positiveInt
+      }
+    },
+    inboxRelays: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        publishOwn: bool,
+        lookupRelays: relayList,
+        ttlMinutes: { type: 'number', min: 0, exclusiveMin: true },
+        maxPerRecipient: positiveInt,
+        allowInsecure: bool
+      }
+    },
+    logging: {
+      type: 'object',
+      properties: {
+        level: { type: 'string', enum: ['error', 'warn', 'info', 'debug'] },
+        format: { type: 'string', enum: ['text', 'json'] },
+        redactMessages: bool
+      }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value === null) {
+    return 'null';
+  }
+  return typeof value;
+}
+
+function joinPath(base, key) {
+  return typeof key === 'number' ? `${base}[${key}]` : `${base}.${key}`;
+}
+
+function matchesType(schema, value) {
+  switch (schema.type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeof value === schema.type;
+  }
+}
+
+// Validate a value against a schema node, collecting problems into result
+function validateNode(schema, value, valuePath, result) {
+  if (!matchesType(schema, value)) {
+    const article = /^[aeiou]/.test(schema.type) ? 'an' : 'a';
+    result.errors.push({ path: valuePath, message: `must be ${article} ${schema.type}, got ${typeOf(value)}` });
+    return;
+  }
+
+  if (schema.type === 'string') {
+    if (schema.allow && schema.allow.includes(value)) {
+      return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      result.errors.push({ path: valuePath, message: `must be one of ${schema.enum.join(', ')}, got "${value}"` });
+    }
+    if (schema.format && !FORMATS[schema.format].test(value)) {
+      result.errors.push({ path: valuePath, message: FORMATS[schema.format].message });
+    }
+    return;
+  }
+
+  if (schema.type === 'integer' || schema.type === 'number') {
+    const tooSmall = schema.min !== undefined && (schema.exclusiveMin ? value <= schema.min : value < schema.min);
+    if (tooSmall) {
+      result.errors.push({ path: valuePath, message: `must be ${schema.exclusiveMin ? 'greater than' : 'at least'} ${schema.min}` });
+    }
+    if (schema.max !== undefined && value > schema.max) {
+      result.errors.push({ path: valuePath, message: `must be at most ${schema.max}` });
+    }
+    return;
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      result.errors.push({ path: valuePath, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    value.forEach((item, index) => validateNode(schema.items, item, joinPath(valuePath, index), result));
+    return;
+  }
+
+  if (schema.type === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = joinPath(valuePath, key);
+
+      if (schema.values) {
+        if (schema.keyFormat && !FORMATS[schema.keyFormat].test(key)) {
+          result.errors.push({ path: childPath, message: `key ${FORMATS[schema.keyFormat].message}` });
+        }
+        validateNode(schema.values, child, childPath, result);
+      } else if (schema.properties[key]) {
+        validateNode(schema.properties[key], child, childPath, result);
+      } else {
+        result.warnings.push({ path: childPath, message: 'unknown key' });
+      }
+    }
+  }
+}
+
+function getAtPath(object, keys) {
+  return keys.reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), object);
+}
+
+// The channel block in use and its JSON path; channelPath is null when there is none
+function findNostrChannel(openclawConfig) {
+  for (const keys of CHANNEL_PATHS) {
+    const value = getAtPath(openclawConfig, keys);
+    if (value !== undefined) {
+      return { channelPath: keys.join('.'), value };
+    }
+  }
+  return { channelPath: null, value: {} };
+}
+
+function validateOpenClawConfig(openclawConfig) {
+  const result = { errors: [], warnings: [], channelPath: null };
+
+  if (typeOf(openclawConfig) !== 'object') {
+    result.errors.push({ path: '$', message: 'openclaw.json must contain a JSON object' });
+    return result;
+  }
+
+  const { channelPath, value } = findNostrChannel(openclawConfig);
+  result.channelPath = channelPath;
+
+  // Say which block wins instead of silently ignoring the others
+  for (const keys of CHANNEL_PATHS) {
+    const otherPath = keys.join('.');
+    if (otherPath !== channelPath && getAtPath(openclawConfig, keys) !== undefined) {
+      result.warnings.push({ path: otherPath, message: `ignored, ${channelPath} takes precedence` });
+    }
+  }
+
+  if (channelPath) {
+    validateNode(NOSTR_CHANNEL_SCHEMA, value, channelPath, result);
+  } else {
+    result.warnings.push({ path: CHANNEL_PATHS[0].join('.'), message: 'no Nostr channel block found, using defaults' });
+  }
+
+  const envKey = getAtPath(openclawConfig, ['env', 'OPENCLAW_NOSTR_PRIVATE_KEY']);
+  if (envKey !== undefined) {
+    validateNode(NOSTR_CHANNEL_SCHEMA.properties.privateKey, envKey, 'env.OPENCLAW_NOSTR_PRIVATE_KEY', result);
+  }
+
+  // Whether any key source is set is checked when the key is resolved (lib/private-key.js),
+  // since it may come from the process environment
+  if (typeOf(value) === 'object' && value.privateKey !== undefined && value.privateKeyFile !== undefined) {
+    result.errors.push({ path: `${channelPath}.privateKeyFile`, message: 'set either privateKey or privateKeyFile, not both' });
+  }
+
+  return result;
+}
+
+function formatIssues(issues) {
+  return issues.map(issue => `${issue.path}: ${issue.message}`);
+}
+
+module.exports = {
+  validateOpenClawConfig,
+  findNostrChannel,
+  formatIssues,
+  NOSTR_CHANNEL_SCHEMA
+};
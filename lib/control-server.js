@@ -0,0 +1,125 @@
+/**
+ * Local HTTP endpoint for health checks, Prometheus metrics and a state dump
+ *
+ *   GET /healthz  200 while at least one relay subscription is live, 503 otherwise
+ *   GET /readyz   200 when relays are live and the OpenClaw gateway answers, 503 otherwise
+ *   GET /metrics  Prometheus text exposition format (version 0.0.4)
+ *   GET /state    JSON dump of senders, cooldowns and relay health
+ *
+ * The daemon supplies everything through callbacks, so this module keeps no
+ * state of its own. Health and readiness callbacks return { ok, ...details }.
+ */
+
+const http = require('http');
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+class ControlServer {
+  constructor(options) {
+    this.host = options.host;
+    this.port = options.port;
+    this.routes = {
+      '/healthz': () => this.probe(options.health),
+      '/readyz': () => this.probe(options.readiness),
+      '/metrics': async () => ({
+        status: 200,
+        contentType: PROMETHEUS_CONTENT_TYPE,
+        body: formatMetrics(await options.metrics())
+      }),
+      '/state': async () => jsonResponse(200, await options.state())
+    };
+    this.server = null;
+  }
+
+  async probe(check) {
+    const result = await check();
+    return jsonResponse(result.ok ? 200 : 503, result);
+  }
+
+  async handle(request, response) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const route = this.routes[pathname];
+
+    let result;
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      result = jsonResponse(405, { error: 'Method not allowed' });
+    } else if (!route) {
+      result = jsonResponse(404, { error: 'Not found', endpoints: Object.keys(this.routes) });
+    } else {
+      try {
+        result = await route();
+      } catch (error) {
+        result = jsonResponse(500, { error: error.message });
+      }
+    }
+
+    response.writeHead(result.status, {
+      'Content-Type': result.contentType,
+      'Cache-Control': 'no-store'
+    });
+    response.end(request.method === 'HEAD' ? undefined : result.body);
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((request, response) => {
+        this.handle(request, response).catch(() => response.destroy());
+      });
+
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+}
+
+function jsonResponse(status, data) {
+  return {
+    status,
+    contentType: 'application/json; charset=utf-8',
+    body: `${JSON.stringify(data, null, 2)}\n`
+  };
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatSample(name, labels, value) {
+  const pairs = Object.entries(labels || {}).map(([key, labelValue]) => `${key}="${escapeLabelValue(labelValue)}"`);
+  return `${name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${Number.isFinite(value) ? value : 0}`;
+}
+
+/**
+ * Render metric families in the Prometheus text format.
+ * Each family is { name, help, type, samples: [{ labels, value, suffix }] };
+ * suffix is appended to the name, e.g. '_sum' and '_count' for summaries.
+ */
+function formatMetrics(families) {
+  const lines = [];
+
+  for (const family of families) {
+    lines.push(`# HELP ${family.name} ${family.help}`);
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+
+    for (const sample of family.samples) {
+      lines.push(formatSample(`${family.name}${sample.suffix || ''}`, sample.labels, sample.value));
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  ControlServer,
+  formatMetrics
+};
@@ -0,0 +1,141 @@
+/**
+ * Encrypted DM formats, shared by the daemon and the nostr-claw CLI
+ *
+ *   nip04  kind 4, AES-CBC ("<base64>?iv=<base64>")
+ *   nip44  kind 4 carrying a NIP-44 v2 payload
+ *   nip17  kind 14 rumor, sealed in a signed kind 13 and gift-wrapped in kind 1059
+ *
+ *   const { message, scheme } = decryptKind4(event.content, privateKey, event.pubkey);
+ *   const rumor = unwrapGiftWrap(wrap, privateKey);   // kind 14, author checked
+ *   const wraps = wrapPrivateDM(privateKey, recipient, 'hi');   // recipient + self copy
+ *
+ * privateKey is the 32-byte Uint8Array; pubkeys are hex.
+ */
+
+const { getPublicKey, verifyEvent, getEventHash } = require('nostr-tools');
+const nip04 = require('nostr-tools/nip04');
+const nip44 = require('nostr-tools/nip44');
+const nip59 = require('nostr-tools/nip59');
+
+// How a DM was (or will be) encrypted
+const DM_SCHEMES = {
+  NIP04: 'nip04', // kind 4, AES-CBC
+  NIP44: 'nip44', // kind 4 carrying a NIP-44 v2 payload
+  NIP17: 'nip17'  // kind 14 sealed and gift-wrapped (NIP-44 inside)
+};
+
+const SCHEME_LABELS = {
+  nip04: 'NIP-04',
+  nip44: 'NIP-44 in kind 4',
+  nip17: 'NIP-17'
+};
+
+const KIND_ENCRYPTED_DM = 4;
+const KIND_SEAL = 13;
+const KIND_PRIVATE_DM = 14;
+const KIND_GIFT_WRAP = 1059;
+
+const GIFT_WRAP_BACKDATE_SECONDS = 2 * 24 * 60 * 60; // NIP-59 randomizes wrap timestamps up to 2 days back
+
+// NIP-04 payloads are "<base64>?iv=<base64>"; NIP-44 payloads are plain base64
+function detectKind4Scheme(content) {
+  return typeof content === 'string' && content.includes('?iv=') ? DM_SCHEMES.NIP04 : DM_SCHEMES.NIP44;
+}
+
+// Decrypt kind 4 content, trying the scheme it looks like first; returns { message, scheme }
+function decryptKind4(content, privateKey, senderPubkey) {
+  const order = detectKind4Scheme(content) === DM_SCHEMES.NIP04
+    ? [DM_SCHEMES.NIP04, DM_SCHEMES.NIP44]
+    : [DM_SCHEMES.NIP44, DM_SCHEMES.NIP04];
+
+  let lastError;
+  for (const scheme of order) {
+    try {
+      const message = scheme === DM_SCHEMES.NIP44
+        ? nip44.decrypt(content, nip44.getConversationKey(privateKey, senderPubkey))
+        : nip04.decrypt(privateKey, senderPubkey, content);
+      return { message, scheme };
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw new Error(`Decryption failed (both NIP-44 and NIP-04): ${lastError.message}`);
+}
+
+function encryptKind4(message, privateKey, recipientPubkey, scheme = DM_SCHEMES.NIP44) {
+  return scheme === DM_SCHEMES.NIP04
+    ? nip04.encrypt(privateKey, recipientPubkey, message)
+    : nip44.encrypt(message, nip44.getConversationKey(privateKey, recipientPubkey));
+}
+
+function nip44DecryptJson(payload, privateKey, senderPubkey) {
+  const conversationKey = nip44.getConversationKey(privateKey, senderPubkey);
+  return JSON.parse(nip44.decrypt(payload, conversationKey));
+}
+
+// Open a kind 1059 gift wrap and return the kind 14 rumor inside it.
+// The seal is signed by the real author, so a rumor claiming anyone else is rejected.
+function unwrapGiftWrap(wrap, privateKey) {
+  const seal = nip44DecryptJson(wrap.content, privateKey, wrap.pubkey);
+
+  if (seal.kind !== KIND_SEAL) {
+    throw new Error(`unexpected seal kind ${seal.kind}`);
+  }
+
+  if (!verifyEvent(seal)) {
+    throw new Error('seal signature is invalid');
+  }
+
+  const rumor = nip44DecryptJson(seal.content, privateKey, seal.pubkey);
+
+  if (rumor.pubkey !== seal.pubkey) {
+    throw new Error(`rumor author ${rumor.pubkey} does not match seal author ${seal.pubkey}`);
+  }
+
+  if (rumor.id && rumor.id !== getEventHash(rumor)) {
+    throw new Error('rumor id does not match its content');
+  }
+
+  if (rumor.kind !== KIND_PRIVATE_DM) {
+    throw new Error(`unsupported rumor kind ${rumor.kind}`);
+  }
+
+  return rumor;
+}
+
+// Build gift wraps of one kind 14 rumor: one for the recipient and one for
+// ourselves, so our own clients can show the message in the conversation too
+function wrapPrivateDM(privateKey, recipientPubkey, message, { replyToId = null } = {}) {
+  const tags = [['p', recipientPubkey]];
+  if (replyToId) {
+    tags.push(['e', replyToId, '', 'reply']);
+  }
+
+  const rumor = nip59.createRumor({
+    kind: KIND_PRIVATE_DM,
+    created_at: Math.floor(Date.now() / 1000),
+    tags,
+    content: message
+  }, privateKey);
+
+  return [recipientPubkey, getPublicKey(privateKey)].map(pubkey => {
+    const seal = nip59.createSeal(rumor, privateKey, pubkey);
+    return nip59.createWrap(seal, pubkey);
+  });
+}
+
+module.exports = {
+  detectKind4Scheme,
+  decryptKind4,
+  encryptKind4,
+  unwrapGiftWrap,
+  wrapPrivateDM,
+  DM_SCHEMES,
+  SCHEME_LABELS,
+  KIND_ENCRYPTED_DM,
+  KIND_SEAL,
+  KIND_PRIVATE_DM,
+  KIND_GIFT_WRAP,
+  GIFT_WRAP_BACKDATE_SECONDS
+};
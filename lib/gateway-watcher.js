@@ -0,0 +1,191 @@
+/**
+ * State changes of the OpenClaw gateway, for notifying subscribed operators
+ *
+ * The daemon polls GET /status and GET /sessions and feeds each result in;
+ * this module compares it with the previous poll and returns what changed:
+ *
+ *   gateway-offline   The gateway failed offlineAfter polls in a row
+ *   gateway-online    It answered again after being offline
+ *   agent-finished    An agent in /status activeAgents is no longer active
+ *   session-finished  A session went from running to idle/done
+ *   session-error     A session is in an error state, or reports a new error
+ *
+ * The first poll only records a baseline, so a restart of the daemon does not
+ * announce every agent and session that is already there.
+ */
+
+const GATEWAY_EVENTS = {
+  OFFLINE: 'gateway-offline',
+  ONLINE: 'gateway-online',
+  AGENT_FINISHED: 'agent-finished',
+  SESSION_FINISHED: 'session-finished',
+  SESSION_ERROR: 'session-error'
+};
+
+// What operators subscribe to; each event belongs to one topic
+const NOTIFY_TOPICS = {
+  gateway: [GATEWAY_EVENTS.OFFLINE, GATEWAY_EVENTS.ONLINE],
+  tasks: [GATEWAY_EVENTS.AGENT_FINISHED, GATEWAY_EVENTS.SESSION_FINISHED],
+  errors: [GATEWAY_EVENTS.SESSION_ERROR]
+};
+
+const RUNNING_STATES = ['running', 'active', 'busy', 'working', 'thinking'];
+const FINISHED_STATES = ['idle', 'done', 'completed', 'complete', 'finished', 'ready'];
+const ERROR_STATES = ['error', 'errored', 'failed', 'failure', 'crashed'];
+
+function topicOf(eventType) {
+  return Object.keys(NOTIFY_TOPICS).find(topic => NOTIFY_TOPICS[topic].includes(eventType)) || null;
+}
+
+// /sessions entries name their status and error in a few ways
+function sessionState(session) {
+  const status = String(session.status || session.state || '').toLowerCase();
+  const error = session.error || session.lastError || null;
+  return {
+    status,
+    error: error && typeof error === 'object' ? error.message || JSON.stringify(error) : error
+  };
+}
+
+function readSnapshot(statusData, sessionsData) {
+  const agents = new Map();
+  for (const agent of statusData?.activeAgents || []) {
+    agents.set(String(agent.id || agent.name || 'unknown'), agent);
+  }
+
+  const sessions = new Map();
+  for (const session of sessionsData?.sessions || []) {
+    const key = session.key || session.id;
+    if (key) {
+      sessions.set(String(key), sessionState(session));
+    }
+  }
+
+  return { agents, sessions };
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) {
+    return `${Math.round(ms / 1000)}s`;
+  }
+  return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+// One line per event, as it is sent to operators
+function formatGatewayEvent(event) {
+  switch (event.type) {
+    case GATEWAY_EVENTS.OFFLINE:
+      return `🔴 OpenClaw gateway is offline: ${event.error}`;
+    case GATEWAY_EVENTS.ONLINE:
+      return `🟢 OpenClaw gateway is back online${event.downMs ? ` after ${formatDuration(event.downMs)}` : ''}`;
+    case GATEWAY_EVENTS.AGENT_FINISHED:
+      return `✅ Agent ${event.agentId}${event.model ? ` (${event.model})` : ''} finished its task`;
+    case GATEWAY_EVENTS.SESSION_FINISHED:
+      return `✅ Session ${event.sessionKey} finished`;
+    case GATEWAY_EVENTS.SESSION_ERROR:
+      return `❌ Session ${event.sessionKey} failed${event.error ? `: ${event.error}` : ''}`;
+    default:
+      return `ℹ️ Gateway event: ${event.type}`;
+  }
+}
+
+// Events between two polls of a gateway that stayed online
+function diffSnapshots(previous, current) {
+  const events = [];
+
+  for (const [agentId, agent] of previous.agents) {
+    if (!current.agents.has(agentId)) {
+      events.push({ type: GATEWAY_EVENTS.AGENT_FINISHED, agentId, model: agent.model || null });
+    }
+  }
+
+  for (const [sessionKey, state] of current.sessions) {
+    const before = previous.sessions.get(sessionKey);
+    const failed = ERROR_STATES.includes(state.status) || Boolean(state.error);
+    const failedBefore = before && (ERROR_STATES.includes(before.status) || Boolean(before.error));
+
+    if (failed && (!failedBefore || (state.error && state.error !== before.error))) {
+      events.push({ type: GATEWAY_EVENTS.SESSION_ERROR, sessionKey, error: state.error });
+    } else if (before && RUNNING_STATES.includes(before.status) && FINISHED_STATES.includes(state.status)) {
+      events.push({ type: GATEWAY_EVENTS.SESSION_FINISHED, sessionKey });
+    }
+  }
+
+  return events;
+}
+
+class GatewayWatcher {
+  constructor(options = {}) {
+    this.offlineAfter = options.offlineAfter || 2;
+
+    this.online = null; // null until the first poll
+    this.consecutiveFailures = 0;
+    this.offlineSince = null;
+    this.lastError = null;
+    this.lastPollAt = null;
+    this.snapshot = null;
+  }
+
+  // A poll that got both responses; returns the events it caused
+  recordSnapshot(statusData, sessionsData, now = Date.now()) {
+    const events = [];
+    const current = readSnapshot(statusData, sessionsData);
+
+    if (this.online === false) {
+      events.push({ type: GATEWAY_EVENTS.ONLINE, downMs: this.offlineSince ? now - this.offlineSince : null });
+    }
+
+    // After an outage the old snapshot is stale; start a new baseline
+    if (this.snapshot && this.online) {
+      events.push(...diffSnapshots(this.snapshot, current));
+    }
+
+    this.online = true;
+    this.consecutiveFailures = 0;
+    this.offlineSince = null;
+    this.lastError = null;
+    this.lastPollAt = now;
+    this.snapshot = current;
+
+    return events;
+  }
+
+  // A poll that failed (connection error, timeout, HTTP error); returns the events it caused
+  recordFailure(error, now = Date.now()) {
+    this.consecutiveFailures++;
+    this.lastError = error;
+    this.lastPollAt = now;
+
+    if (this.online === false || this.consecutiveFailures < this.offlineAfter) {
+      return [];
+    }
+
+    // The first poll failing is a baseline too: offline, but not announced
+    const announce = this.online === true;
+    this.online = false;
+    this.offlineSince = now;
+
+    return announce ? [{ type: GATEWAY_EVENTS.OFFLINE, error }] : [];
+  }
+
+  toJSON() {
+    return {
+      online: this.online,
+      consecutiveFailures: this.consecutiveFailures,
+      offlineSince: this.offlineSince,
+      lastError: this.lastError,
+      lastPollAt: this.lastPollAt,
+      activeAgents: this.snapshot ? this.snapshot.agents.size : 0,
+      sessions: this.snapshot ? this.snapshot.sessions.size : 0
+    };
+  }
+}
+
+module.exports = {
+  GatewayWatcher,
+  formatGatewayEvent,
+  topicOf,
+  GATEWAY_EVENTS,
+  NOTIFY_TOPICS
+};
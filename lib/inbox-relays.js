@@ -0,0 +1,166 @@
+/**
+ * DM inbox relay discovery (kind 10050, falling back to NIP-65 kind 10002)
+ *
+ *   const cache = new InboxRelayCache({ ttlMs, lookup: pubkey => pool.querySync(...) });
+ *   const { relays, source } = await cache.get(recipientPubkey);
+ *
+ * A recipient's kind 10050 event lists the relays they read DMs from. Without
+ * one, the read relays of their kind 10002 relay list are used instead. The
+ * lookup callback returns the events it found; the newest event of each kind
+ * wins. Results, including "no list found", are cached per pubkey, and
+ * concurrent lookups for the same pubkey share one query.
+ */
+
+const KIND_DM_RELAYS = 10050;
+const KIND_RELAY_LIST = 10002;
+
+const LIST_SOURCES = {
+  DM_RELAYS: 'kind-10050',
+  READ_RELAYS: 'kind-10002',
+  NONE: 'none'
+};
+
+// Relay URLs come from other people's events, so only accept well-formed websocket URLs
+function normalizeListedRelay(url, allowInsecure) {
+  if (typeof url !== 'string') {
+    return null;
+  }
+
+  const trimmed = url.trim().replace(/\/+$/, '');
+  const pattern = allowInsecure ? /^wss?:\/\/[^\s/?#]+/i : /^wss:\/\/[^\s/?#]+/i;
+
+  return pattern.test(trimmed) ? trimmed : null;
+}
+
+function newestOfKind(events, kind) {
+  return events
+    .filter(event => event && event.kind === kind)
+    .sort((a, b) => b.created_at - a.created_at)[0] || null;
+}
+
+// Relays from a kind 10050 event: ["relay", "wss://..."] tags
+function parseDmRelayList(event, options = {}) {
+  return uniqueRelays(
+    (event?.tags || []).filter(tag => tag[0] === 'relay').map(tag => tag[1]),
+    options
+  );
+}
+
+// Read relays from a kind 10002 event: ["r", url] and ["r", url, "read"] tags
+function parseReadRelays(event, options = {}) {
+  return uniqueRelays(
+    (event?.tags || []).filter(tag => tag[0] === 'r' && (!tag[2] || tag[2] === 'read')).map(tag => tag[1]),
+    options
+  );
+}
+
+function uniqueRelays(urls, options) {
+  const relays = [];
+
+  for (const url of urls) {
+    const normalized = normalizeListedRelay(url, options.allowInsecure);
+    if (normalized && !relays.includes(normalized)) {
+      relays.push(normalized);
+    }
+  }
+
+  return options.maxRelays ? relays.slice(0, options.maxRelays) : relays;
+}
+
+// Pick the recipient's inbox relays from whatever list events were found
+function selectInboxRelays(events, options = {}) {
+  const dmList = newestOfKind(events, KIND_DM_RELAYS);
+  const dmRelays = parseDmRelayList(dmList, options);
+  if (dmRelays.length > 0) {
+    return { relays: dmRelays, source: LIST_SOURCES.DM_RELAYS };
+  }
+
+  const readRelays = parseReadRelays(newestOfKind(events, KIND_RELAY_LIST), options);
+  if (readRelays.length > 0) {
+    return { relays: readRelays, source: LIST_SOURCES.READ_RELAYS };
+  }
+
+  return { relays: [], source: LIST_SOURCES.NONE };
+}
+
+// Unsigned kind 10050 event advertising where we read DMs
+function buildDmRelayListTemplate(relays, createdAt = Math.floor(Date.now() / 1000)) {
+  return {
+    kind: KIND_DM_RELAYS,
+    created_at: createdAt,
+    tags: relays.map(url => ['relay', url]),
+    content: ''
+  };
+}
+
+class InboxRelayCache {
+  constructor(options) {
+    this.lookup = options.lookup;
+    this.ttlMs = options.ttlMs || 60 * 60 * 1000;
+    this.missTtlMs = options.missTtlMs || 10 * 60 * 1000; // Retry sooner when nothing was found
+    this.maxRelays = options.maxRelays || 5;
+    this.allowInsecure = Boolean(options.allowInsecure);
+
+    this.entries = new Map();  // pubkey -> { relays, source, fetchedAt, expiresAt }
+    this.inflight = new Map(); // pubkey -> Promise
+  }
+
+  async get(pubkey, now = Date.now()) {
+    const cached = this.entries.get(pubkey);
+    if (cached && cached.expiresAt > now) {
+      return cached;
+    }
+
+    if (!this.inflight.has(pubkey)) {
+      const pending = this.refresh(pubkey).finally(() => this.inflight.delete(pubkey));
+      this.inflight.set(pubkey, pending);
+    }
+
+    return this.inflight.get(pubkey);
+  }
+
+  // A failed lookup is not cached, so the next reply asks again
+  async refresh(pubkey) {
+    const events = await this.lookup(pubkey);
+    const selected = selectInboxRelays(events || [], {
+      maxRelays: this.maxRelays,
+      allowInsecure: this.allowInsecure
+    });
+
+    const fetchedAt = Date.now();
+    const entry = {
+      ...selected,
+      fetchedAt,
+      expiresAt: fetchedAt + (selected.relays.length > 0 ? this.ttlMs : this.missTtlMs)
+    };
+
+    this.entries.set(pubkey, entry);
+    return entry;
+  }
+
+  prune(now = Date.now()) {
+    let pruned = 0;
+    for (const [pubkey, entry] of this.entries.entries()) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(pubkey);
+        pruned++;
+      }
+    }
+    return pruned;
+  }
+
+  toJSON() {
+    return Object.fromEntries(this.entries);
+  }
+}
+
+module.exports = {
+  InboxRelayCache,
+  selectInboxRelays,
+  parseDmRelayList,
+  parseReadRelays,
+  buildDmRelayListTemplate,
+  KIND_DM_RELAYS,
+  KIND_RELAY_LIST,
+  LIST_SOURCES
+};
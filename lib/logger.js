@@ -0,0 +1,172 @@
+/**
+ * Leveled logger with text and JSON output and secret redaction
+ *
+ *   const log = createLogger({ level: 'info', format: 'json' });
+ *   log.info('📨 DM received', { from: npub, message });
+ *
+ * Text output keeps the daemon's console style and appends fields as
+ * key=value pairs; JSON output writes one object per line for log shippers.
+ * Errors and warnings go to stderr, everything else to stdout.
+ *
+ * Redaction is always applied to both the message and the fields:
+ * - nsec/ncryptsec strings and values registered with addSecret() are masked
+ * - fields named like privateKey, token, secret or password are masked
+ * - message contents (fields named message, content, reply, ...) are replaced
+ *   by their length unless redactMessages is turned off
+ */
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const LOG_FORMATS = ['text', 'json'];
+
+const REDACTED = '[REDACTED]';
+const BECH32_SECRET_PATTERN = /\b(nsec|ncryptsec)1[a-z0-9]+/gi;
+const SECRET_FIELD_PATTERN = /private.?key|^nsec|nsec$|secret|token|password|passphrase|authorization/i;
+const CONTENT_FIELDS = ['message', 'content', 'plaintext', 'reply', 'text', 'body'];
+
+class Logger {
+  constructor(options = {}) {
+    this.secrets = new Set();
+    this.level = 'info';
+    this.format = 'text';
+    this.redactMessages = true;
+    this.stdout = options.stdout || process.stdout;
+    this.stderr = options.stderr || process.stderr;
+    this.configure(options);
+  }
+
+  // Unknown levels or formats are ignored, so a typo never silences logging
+  configure(options = {}) {
+    const level = String(options.level || '').toLowerCase();
+    const format = String(options.format || '').toLowerCase();
+
+    if (LOG_LEVELS.includes(level)) {
+      this.level = level;
+    }
+    if (LOG_FORMATS.includes(format)) {
+      this.format = format;
+    }
+    if (typeof options.redactMessages === 'boolean') {
+      this.redactMessages = options.redactMessages;
+    }
+
+    return this;
+  }
+
+  // Mask this exact value wherever it shows up (e.g. the hex private key)
+  addSecret(value) {
+    if (value && String(value).length >= 8) {
+      this.secrets.add(String(value));
+    }
+  }
+
+  isLevelEnabled(level) {
+    return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(this.level);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  write(level, message, fields) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const text = this.redactString(String(message));
+    const redactedFields = fields ? this.redactValue(fields) : null;
+    const stream = level === 'error' || level === 'warn' ? this.stderr : this.stdout;
+
+    if (this.format === 'json') {
+      const record = {
+        time: new Date().toISOString(),
+        level,
+        msg: text.trim(),
+        ...redactedFields
+      };
+      stream.write(`${JSON.stringify(record)}\n`);
+      return;
+    }
+
+    const suffix = redactedFields ? formatFields(redactedFields) : '';
+    stream.write(`${text}${suffix ? ` ${suffix}` : ''}\n`);
+  }
+
+  redactString(value) {
+    let result = value.replace(BECH32_SECRET_PATTERN, (match, prefix) => `${prefix}1${REDACTED}`);
+
+    for (const secret of this.secrets) {
+      result = result.split(secret).join(REDACTED);
+    }
+
+    return result;
+  }
+
+  redactValue(value, key = null) {
+    if (key !== null && SECRET_FIELD_PATTERN.test(key) && value !== null && value !== undefined) {
+      return REDACTED;
+    }
+
+    if (key !== null && this.redactMessages && CONTENT_FIELDS.includes(key) && typeof value === 'string') {
+      return `[redacted ${value.length} chars]`;
+    }
+
+    if (typeof value === 'string') {
+      return this.redactString(value);
+    }
+
+    if (value instanceof Error) {
+      return this.redactString(value.message);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactValue(item));
+    }
+
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [childKey, childValue] of Object.entries(value)) {
+        result[childKey] = this.redactValue(childValue, childKey);
+      }
+      return result;
+    }
+
+    return value;
+  }
+}
+
+function formatFieldValue(value) {
+  if (typeof value === 'string') {
+    return /^[^\s"=]+$/.test(value) ? value : JSON.stringify(value);
+  }
+  return JSON.stringify(value);
+}
+
+function formatFields(fields) {
+  return Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${formatFieldValue(value)}`)
+    .join(' ');
+}
+
+function createLogger(options) {
+  return new Logger(options);
+}
+
+module.exports = {
+  Logger,
+  createLogger,
+  LOG_LEVELS,
+  LOG_FORMATS
+};
@@ -0,0 +1,422 @@
+/**
+ * openclaw.json loading, shared by the daemon and the nostr-claw CLI
+ *
+ *   const file = loadOpenClawConfig(findOpenClawConfig());
+ *   const config = buildNostrConfig(file.config, { log, source: file.path });
+ *   // config.privateKey (hex), config.relays, config.dmPolicy, ...
+ *
+ * findOpenClawConfig() looks at an explicit path, then OPENCLAW_NOSTR_CONFIG,
+ * then the standard locations. buildNostrConfig() validates the channel block
+ * (lib/config-schema.js), resolves the private key (lib/private-key.js) and
+ * fills in defaults; it throws on anything that would stop the daemon.
+ *
+ * Everything is logged through the logger passed in; without one it is silent.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const os = require('os');
+const { nip19 } = require('nostr-tools');
+
+const { ROLES } = require('./command-registry');
+const { validateOpenClawConfig, findNostrChannel, formatIssues } = require('./config-schema');
+const { resolvePrivateKey } = require('./private-key');
+
+const CONFIG_ENV_VAR = 'OPENCLAW_NOSTR_CONFIG';
+// Channel overrides (JSON) that `nostr-claw daemon` hands to the daemon it starts
+const OVERRIDES_ENV_VAR = 'OPENCLAW_NOSTR_CHANNEL_OVERRIDES';
+
+const STANDARD_CONFIG_PATHS = [
+  path.join(os.homedir(), '.openclaw', 'openclaw.json'),
+  '/usr/local/lib/node_modules/openclaw/openclaw.json'
+];
+
+const DEFAULT_RELAYS = [
+  'wss://relay.damus.io',
+  'wss://relay.primal.net',
+  'wss://nos.lol',
+  'wss://relay.0xchat.com',
+  'wss://nostr.wine',
+  'wss://inbox.nostr.wine',
+  'wss://auth.nostr1.com'
+];
+
+const SILENT_LOG = {
+  error() {},
+  warn() {},
+  info() {},
+  debug() {},
+  addSecret() {}
+};
+
+// Path of the openclaw.json to use, or null when there is none
+function findOpenClawConfig(explicitPath = process.env[CONFIG_ENV_VAR]) {
+  if (explicitPath) {
+    return path.resolve(explicitPath);
+  }
+  return STANDARD_CONFIG_PATHS.find(configPath => fs.existsSync(configPath)) || null;
+}
+
+// Read and parse openclaw.json; the hash lets a watcher tell real changes apart
+function loadOpenClawConfig(configPath) {
+  if (!configPath) {
+    throw new Error(`Could not find openclaw.json in any standard location (set ${CONFIG_ENV_VAR} to use another)`);
+  }
+
+  let raw;
+  try {
+    raw = fs.readFileSync(configPath, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read ${configPath}: ${error.code === 'ENOENT' ? 'no such file' : error.message}`);
+  }
+
+  try {
+    return {
+      config: JSON.parse(raw),
+      path: configPath,
+      hash: crypto.createHash('sha256').update(raw).digest('hex')
+    };
+  } catch (error) {
+    throw new Error(`Cannot parse ${configPath}: ${error.message}`);
+  }
+}
+
+// ============================================================================
+// RELAY DEDUPLICATION & VALIDATION
+// ============================================================================
+
+function normalizeRelayUrl(url, log = SILENT_LOG) {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+
+  url = url.trim();
+  url = url.replace(/\/+$/, ''); // Remove trailing slash
+
+  if (!url.startsWith('ws://') && !url.startsWith('wss://')) {
+    log.warn(`  ⚠️  Invalid relay protocol: ${url}`);
+    return null;
+  }
+
+  return url;
+}
+
+function deduplicateRelays(relays, log = SILENT_LOG) {
+  if (!Array.isArray(relays)) {
+    log.warn('  ⚠️  Relays is not an array');
+    return [];
+  }
+
+  const seen = new Set();
+  const uniqueRelays = [];
+
+  for (const relay of relays) {
+    const normalized = normalizeRelayUrl(relay, log);
+
+    if (!normalized) {
+      log.warn(`  ⚠️  Skipping invalid relay: ${relay}`);
+      continue;
+    }
+
+    if (seen.has(normalized)) {
+      log.info(`  ℹ️  Skipping duplicate relay: ${normalized}`);
+      continue;
+    }
+
+    seen.add(normalized);
+    uniqueRelays.push(normalized);
+  }
+
+  return uniqueRelays;
+}
+
+function deduplicatePubkeys(pubkeys, log = SILENT_LOG) {
+  if (!Array.isArray(pubkeys)) {
+    log.warn('  ⚠️  Pubkeys is not an array');
+    return [];
+  }
+
+  const seen = new Set();
+  const uniquePubkeys = [];
+
+  for (const key of pubkeys) {
+    if (!key || typeof key !== 'string') {
+      log.warn(`  ⚠️  Skipping invalid pubkey`);
+      continue;
+    }
+
+    let hexKey = key;
+    if (key.startsWith('npub1')) {
+      try {
+        const { data: hex } = nip19.decode(key);
+        hexKey = hex;
+        log.debug(`  🔓 Decoded npub: ${key.substring(0, 20)}... → hex: ${hexKey.substring(0, 20)}...`);
+      } catch (error) {
+        log.warn(`  ⚠️  Invalid npub format: ${key} - error: ${error.message}`);
+        continue;
+      }
+    } else {
+      log.debug(`  📋 Raw hex key: ${key.substring(0, 20)}...`);
+    }
+
+    if (!/^[a-f0-9]{64}$/i.test(hexKey)) {
+      log.warn(`  ⚠️  Invalid hex pubkey: ${hexKey.substring(0, 30)}...`);
+      continue;
+    }
+
+    if (seen.has(hexKey)) {
+      log.debug(`  ℹ️  Skipping duplicate pubkey: ${key.substring(0, 20)}...`);
+      continue;
+    }
+
+    seen.add(hexKey);
+    uniquePubkeys.push(hexKey);
+    log.debug(`  ✓ Added pubkey: ${key.substring(0, 20)}... (total: ${uniquePubkeys.length})`);
+  }
+
+  return uniquePubkeys;
+}
+
+
+// ============================================================================
+// NOSTR CHANNEL CONFIG
+// ============================================================================
+
+/**
+ * Turn a parsed openclaw.json into the daemon's config object.
+ * channelOverrides replace keys of the channel block (the CLI's --relay and
+ * --key-file flags); source names the file in error messages.
+ */
+function buildNostrConfig(openclawConfig, { log = SILENT_LOG, source = 'openclaw.json', channelOverrides = {} } = {}) {
+  log.debug('  openclaw.json channels', { channels: openclawConfig.channels });
+
+  // Check the channel block against the schema (lib/config-schema.js) before using it
+  const validation = validateOpenClawConfig(openclawConfig);
+  for (const warning of formatIssues(validation.warnings)) {
+    log.warn(`  ⚠️  ${warning}`);
+  }
+  if (validation.errors.length > 0) {
+    throw new Error(`Invalid configuration in ${source}:\n${formatIssues(validation.errors).map(line => `  - ${line}`).join('\n')}`);
+  }
+
+  // Support multiple config formats for compatibility
+  // Priority: entries.nost (new), nostr (old), top-level nostr (fallback)
+  // Command line flags (relays, key source) override the file
+  const { value: channelValue } = findNostrChannel(openclawConfig);
+  const nostrChannel = { ...channelValue, ...channelOverrides };
+
+  log.debug('  Nostr channel config', { nostrChannel });
+  
+  const env = openclawConfig?.env || {};
+
+  // Private key: privateKey > privateKeyFile > process environment > env block (lib/private-key.js)
+  const key = resolvePrivateKey(nostrChannel, { envBlock: env });
+  for (const warning of key.warnings) {
+    log.warn(`  ⚠️  ${warning}`);
+  }
+  log.addSecret(key.passphrase);
+  log.debug(`  Private key from ${key.source}`);
+
+  // Relays: channel config > defaults (with deduplication)
+  const configuredRelays = nostrChannel.relays || DEFAULT_RELAYS;
+  const relays = deduplicateRelays(configuredRelays, log);
+
+  // If deduplication resulted in empty array, use defaults
+  const finalRelays = relays.length > 0 ? relays : DEFAULT_RELAYS;
+
+  if (relays.length !== configuredRelays.length) {
+    log.info(`  ℹ️  Relay deduplication: ${configuredRelays.length} → ${finalRelays.length} unique relays`);
+  }
+
+  // DM Policy and allowed senders come only from the channel block in use;
+  // a block that findNostrChannel() skipped must not open the bot up
+  const dmPolicy = nostrChannel.dmPolicy || 'allowlist';
+  const allowFromList = nostrChannel.allowFrom;
+  
+  log.debug('  Allowlist from config', { allowFromList });
+  
+  let allowedSenders = [];
+  
+  if ((dmPolicy === 'allowlist' || dmPolicy === 'pairing') && allowFromList) {
+    allowedSenders = deduplicatePubkeys(allowFromList, log);
+    log.info(`  ℹ️  Allowlist configured: ${allowFromList.length} pubkeys → ${allowedSenders.length} unique pubkeys`);
+  } else if (dmPolicy === 'open') {
+    allowedSenders = ['*']; // Allow anyone
+    log.info(`  ℹ️  Policy: ${dmPolicy} (anyone can DM)`);
+  }
+
+  if (dmPolicy === 'pairing') {
+    log.info(`  ℹ️  Policy: pairing (unknown senders get a pairing code)`);
+  }
+  
+  log.debug('  Allowed senders', { allowedSenders });
+
+  // Reply encryption: default scheme and per-sender overrides (npub/hex → nip04|nip44|nip17)
+  const validSchemes = ['nip04', 'nip44', 'nip17'];
+  const defaultReplyScheme = validSchemes.includes(nostrChannel.defaultReplyScheme) ? nostrChannel.defaultReplyScheme : 'nip44';
+  const replySchemes = {};
+
+  for (const [key, scheme] of Object.entries(nostrChannel.replySchemes || {})) {
+    const [pubkey] = deduplicatePubkeys([key], log);
+    if (!pubkey || !validSchemes.includes(scheme)) {
+      log.warn(`  ⚠️  Ignoring invalid reply scheme override: ${key} → ${scheme}`);
+      continue;
+    }
+    replySchemes[pubkey] = scheme;
+  }
+
+  // Command roles (viewer < operator < admin): channels.nost.roles maps npub/hex → role,
+  // channels.nost.admins is shorthand for the admin role and everyone else gets defaultRole.
+  // Without either setting the allowlist keeps full control, as before roles existed.
+  const defaultRole = ROLES.includes(nostrChannel.defaultRole) ? nostrChannel.defaultRole : 'viewer';
+  const roles = {};
+  const adminKeys = nostrChannel.admins || (nostrChannel.roles ? [] : allowedSenders.filter(key => key !== '*'));
+
+  for (const pubkey of deduplicatePubkeys(adminKeys, log)) {
+    roles[pubkey] = 'admin';
+  }
+
+  for (const [key, role] of Object.entries(nostrChannel.roles || {})) {
+    const [pubkey] = deduplicatePubkeys([key], log);
+    if (!pubkey || !ROLES.includes(role)) {
+      log.warn(`  ⚠️  Ignoring invalid role assignment: ${key} → ${role}`);
+      continue;
+    }
+    roles[pubkey] = role;
+  }
+
+  const admins = Object.keys(roles).filter(pubkey => roles[pubkey] === 'admin');
+
+  // Gateway: channel override > gateway section of openclaw.json > default port
+  const gatewayPort = openclawConfig?.gateway?.port || 18789;
+  const gatewayUrl = (nostrChannel.gatewayUrl || `http://localhost:${gatewayPort}`).replace(/\/+$/, '');
+  const gatewayToken = openclawConfig?.gateway?.auth?.token || env.OPENCLAW_GATEWAY_TOKEN || null;
+
+  // Agent forwarding: free-form DMs are posted into an OpenClaw session
+  const agentConfig = nostrChannel.agent || {};
+
+  // Reply formatting: chunk size in bytes (agent.maxChunkLength is the older name), numbering, noise stripping
+  const repliesConfig = nostrChannel.replies || {};
+
+  // Local HTTP endpoint for health checks and metrics (off unless enabled)
+  const httpConfig = nostrChannel.http || {};
+
+  // Publishing: how many relays must accept a reply for it to count as sent
+  const publishConfig = nostrChannel.publish || {};
+
+  // Recipient DM relay discovery (kind 10050 / NIP-65) and our own kind 10050 list
+  const inboxConfig = nostrChannel.inboxRelays || {};
+  const lookupRelays = deduplicateRelays(inboxConfig.lookupRelays || ['wss://purplepag.es', 'wss://relay.nos.social'], log);
+
+  // Outbound queue: how long failed replies keep being retried
+  const outboxConfig = nostrChannel.outbox || {};
+
+  // Encrypted transcript archive behind 🦀history
+  const archiveConfig = nostrChannel.archive || {};
+
+  // Gateway watcher behind 🦀subscribe
+  const notificationsConfig = nostrChannel.notifications || {};
+
+  // Logging: process environment > openclaw.json env section > channel config
+  const loggingConfig = nostrChannel.logging || {};
+
+  return {
+    privateKey: key.privateKey,
+    keySource: key.source,
+    relays: finalRelays,
+    dmPolicy,
+    allowedSenders,
+    admins,
+    roles,
+    defaultRole,
+    defaultReplyScheme,
+    replySchemes,
+    enabled: nostrChannel.enabled !== false,
+    name: nostrChannel.name || 'OpenClaw',
+    profile: nostrChannel.profile || {},
+    gatewayUrl,
+    gatewayToken,
+    stateDir: nostrChannel.stateDir || path.join(os.homedir(), '.openclaw', 'nostr-dm'),
+    commandsDir: nostrChannel.commandsDir ? path.resolve(nostrChannel.commandsDir) : null,
+    watchConfig: nostrChannel.watchConfig !== false,
+    agent: {
+      enabled: agentConfig.enabled !== false,
+      timeoutMs: agentConfig.timeoutMs || 120 * 1000
+    },
+    replies: {
+      maxChunkBytes: repliesConfig.maxChunkBytes || agentConfig.maxChunkLength || 2000,
+      numbered: repliesConfig.numbered !== false,
+      stripNoise: repliesConfig.stripNoise !== false,
+      chunkDelayMs: Number.isInteger(repliesConfig.chunkDelayMs) && repliesConfig.chunkDelayMs >= 0 ? repliesConfig.chunkDelayMs : 750
+    },
+    http: {
+      enabled: httpConfig.enabled === true,
+      host: httpConfig.host || '127.0.0.1',
+      port: httpConfig.port || 18790
+    },
+    publish: {
+      quorum: Number.isInteger(publishConfig.quorum) && publishConfig.quorum > 0 ? publishConfig.quorum : 1
+    },
+    outbox: {
+      ttlMs: (outboxConfig.ttlHours || 24) * 60 * 60 * 1000
+    },
+    archive: {
+      enabled: archiveConfig.enabled !== false,
+      maxPerSender: archiveConfig.maxPerSender || 1000
+    },
+    notifications: {
+      enabled: notificationsConfig.enabled !== false,
+      pollIntervalMs: (notificationsConfig.pollIntervalSeconds || 30) * 1000,
+      offlineAfterFailures: notificationsConfig.offlineAfterFailures || 2
+    },
+    inboxRelays: {
+      enabled: inboxConfig.enabled !== false,
+      publishOwn: inboxConfig.publishOwn !== false,
+      lookupRelays,
+      ttlMs: (inboxConfig.ttlMinutes || 60) * 60 * 1000,
+      maxPerRecipient: inboxConfig.maxPerRecipient || 5,
+      allowInsecure: inboxConfig.allowInsecure === true
+    },
+    logging: {
+      level: process.env.OPENCLAW_NOSTR_LOG_LEVEL || env.OPENCLAW_NOSTR_LOG_LEVEL || loggingConfig.level || 'info',
+      format: process.env.OPENCLAW_NOSTR_LOG_FORMAT || env.OPENCLAW_NOSTR_LOG_FORMAT || loggingConfig.format || 'text',
+      redactMessages: loggingConfig.redactMessages !== false
+    }
+  };
+}
+
+/**
+ * Channel overrides passed in OVERRIDES_ENV_VAR, for buildNostrConfig().
+ * null values clear a key of the file's channel block (privateKey when
+ * --key-file is given, and the other way round).
+ */
+function readChannelOverrides(env = process.env) {
+  if (!env[OVERRIDES_ENV_VAR]) {
+    return {};
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(env[OVERRIDES_ENV_VAR]);
+  } catch (error) {
+    throw new Error(`${OVERRIDES_ENV_VAR} is not valid JSON: ${error.message}`);
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error(`${OVERRIDES_ENV_VAR} must be a JSON object`);
+  }
+  return overrides;
+}
+
+module.exports = {
+  findOpenClawConfig,
+  loadOpenClawConfig,
+  buildNostrConfig,
+  readChannelOverrides,
+  normalizeRelayUrl,
+  deduplicateRelays,
+  deduplicatePubkeys,
+  DEFAULT_RELAYS,
+  CONFIG_ENV_VAR,
+  OVERRIDES_ENV_VAR
+};
@@ -0,0 +1,201 @@
+/**
+ * Durable outbound queue for replies that did not reach enough relays
+ *
+ * Items hold the signed event, not the plaintext, so nothing readable is kept
+ * on disk and a retry publishes the identical event (relays deduplicate it by
+ * id). Each item tracks which relays already accepted it:
+ *
+ *   pending    No relay has accepted the event yet
+ *   partial    Some relays accepted it, but fewer than the quorum
+ *   delivered  The quorum was reached on a retry
+ *   expired    Still undelivered when its time to live ran out
+ *
+ * Retries back off exponentially per item. Items for one recipient go out in
+ * the order they were queued: an item is only retried once every earlier open
+ * item for the same recipient has been delivered or expired, so the parts of
+ * a long reply cannot overtake each other. Delivered and expired items are
+ * kept for a while so senders can still see what happened to them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  PARTIAL: 'partial',
+  DELIVERED: 'delivered',
+  EXPIRED: 'expired'
+};
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_KEEP_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_BASE_RETRY_MS = 30 * 1000;
+const DEFAULT_MAX_RETRY_MS = 30 * 60 * 1000;
+
+function isOpen(item) {
+  return item.status === OUTBOX_STATUS.PENDING || item.status === OUTBOX_STATUS.PARTIAL;
+}
+
+class Outbox {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    this.keepMs = options.keepMs || DEFAULT_KEEP_MS;
+    this.baseRetryMs = options.baseRetryMs || DEFAULT_BASE_RETRY_MS;
+    this.maxRetryMs = options.maxRetryMs || DEFAULT_MAX_RETRY_MS;
+
+    this.items = new Map(); // event id -> item, in the order they were queued
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return 0;
+    }
+
+    const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    for (const item of saved.items || []) {
+      this.items.set(item.id, item);
+    }
+
+    return this.items.size;
+  }
+
+  // Write to a temp file and rename it over the old one
+  save() {
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    const data = { items: Array.from(this.items.values()) };
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Queue a signed event after a failed publish.
+   * accepted lists the relays that already took it, quorum how many must.
+   * attempts is 0 for an event queued without trying it (behind an earlier
+   * item for the same recipient), which makes it due right away.
+   */
+  add({ recipient, event, relays, accepted = [], quorum = 1, label = 'reply', lastError = null, attempts = 1 }, now = Date.now()) {
+    const item = {
+      id: event.id,
+      recipient,
+      label,
+      event,
+      relays,
+      accepted,
+      quorum: Math.min(quorum, relays.length),
+      status: accepted.length > 0 ? OUTBOX_STATUS.PARTIAL : OUTBOX_STATUS.PENDING,
+      attempts,
+      lastError,
+      createdAt: now,
+      updatedAt: now,
+      nextAttemptAt: attempts > 0 ? now + this.retryDelay(attempts) : now,
+      expiresAt: now + this.ttlMs
+    };
+
+    this.items.set(item.id, item);
+    return item;
+  }
+
+  retryDelay(attempts) {
+    const delay = Math.min(this.baseRetryMs * Math.pow(2, attempts - 1), this.maxRetryMs);
+    return delay + Math.floor(Math.random() * delay * 0.1);
+  }
+
+  // Open items whose next retry is due, oldest first. An item waiting for its
+  // retry holds back the later items of its recipient; the caller should also
+  // stop at the first of a recipient's items that fails again.
+  due(now = Date.now()) {
+    const waiting = new Set();
+    const due = [];
+
+    for (const item of this.items.values()) {
+      if (!isOpen(item) || item.expiresAt <= now || waiting.has(item.recipient)) {
+        continue;
+      }
+      if (item.nextAttemptAt <= now) {
+        due.push(item);
+      } else {
+        waiting.add(item.recipient);
+      }
+    }
+
+    return due;
+  }
+
+
+  // Relays still worth asking and how many of them must accept
+  remaining(item) {
+    return {
+      relays: item.relays.filter(url => !item.accepted.includes(url)),
+      quorum: Math.max(item.quorum - item.accepted.length, 1)
+    };
+  }
+
+  // Record a retry; accepted lists the relays that took the event this time
+  recordAttempt(item, { accepted = [], error = null }, now = Date.now()) {
+    item.accepted = [...new Set([...item.accepted, ...accepted])];
+    item.attempts++;
+    item.updatedAt = now;
+    item.lastError = error;
+
+    if (item.accepted.length >= item.quorum) {
+      item.status = OUTBOX_STATUS.DELIVERED;
+      item.deliveredAt = now;
+      item.nextAttemptAt = null;
+    } else {
+      item.status = item.accepted.length > 0 ? OUTBOX_STATUS.PARTIAL : OUTBOX_STATUS.PENDING;
+      item.nextAttemptAt = now + this.retryDelay(item.attempts);
+    }
+
+    return item;
+  }
+
+  // Mark open items past their time to live as expired; returns them
+  expire(now = Date.now()) {
+    const expired = [];
+
+    for (const item of this.items.values()) {
+      if (isOpen(item) && item.expiresAt <= now) {
+        item.status = OUTBOX_STATUS.EXPIRED;
+        item.updatedAt = now;
+        item.nextAttemptAt = null;
+        expired.push(item);
+      }
+    }
+
+    return expired;
+  }
+
+  // Forget delivered and expired items after keepMs; returns how many were removed
+  prune(now = Date.now()) {
+    let removed = 0;
+
+    for (const [id, item] of this.items.entries()) {
+      if (!isOpen(item) && item.updatedAt + this.keepMs <= now) {
+        this.items.delete(id);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  list(recipient = null) {
+    return Array.from(this.items.values()).filter(item => !recipient || item.recipient === recipient);
+  }
+
+  counts() {
+    const counts = Object.fromEntries(Object.values(OUTBOX_STATUS).map(status => [status, 0]));
+    for (const item of this.items.values()) {
+      counts[item.status]++;
+    }
+    return counts;
+  }
+}
+
+module.exports = {
+  Outbox,
+  OUTBOX_STATUS
+};
@@ -0,0 +1,180 @@
+/**
+ * Where the daemon's private key comes from
+ *
+ *   const { privateKey, source, warnings } = resolvePrivateKey(nostrChannel, { envBlock: openclawConfig.env });
+ *   // privateKey: '3bf0c6...' (hex), source: 'privateKeyFile ~/.openclaw/nostr.key'
+ *
+ * Sources, first match wins:
+ *
+ *   channels.nost.privateKey        hex, nsec or ncryptsec; a "${VAR}" value is
+ *                                   read from the process environment, then env
+ *   channels.nost.privateKeyFile    file holding a hex, nsec or ncryptsec key
+ *   OPENCLAW_NOSTR_PRIVATE_KEY      process environment
+ *   env.OPENCLAW_NOSTR_PRIVATE_KEY  env block of openclaw.json
+ *
+ * A NIP-49 ncryptsec is decrypted with the passphrase in keyPassphraseFile or,
+ * failing that, in the environment variable named by keyPassphraseEnv
+ * (OPENCLAW_NOSTR_KEY_PASSPHRASE by default). The passphrase is only read from
+ * the real process environment, never from openclaw.json.
+ *
+ * Key and passphrase files must be regular files. One that other users can
+ * read is refused; a group-readable one is accepted with a warning.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { nip19 } = require('nostr-tools');
+const nip49 = require('nostr-tools/nip49');
+const { bytesToHex } = require('nostr-tools/utils');
+
+const KEY_ENV_VAR = 'OPENCLAW_NOSTR_PRIVATE_KEY';
+const DEFAULT_PASSPHRASE_ENV_VAR = 'OPENCLAW_NOSTR_KEY_PASSPHRASE';
+const PLACEHOLDER_PATTERN = /^\$\{([A-Za-z_][A-Za-z0-9_]*)\}$/;
+
+function expandHome(filePath) {
+  if (filePath === '~' || filePath.startsWith('~/')) {
+    return path.join(os.homedir(), filePath.slice(1));
+  }
+  return filePath;
+}
+
+// Read a secret file, refusing it if anyone but the owner (and group) can read it
+function readProtectedFile(filePath, what) {
+  const resolved = path.resolve(expandHome(filePath));
+  const warnings = [];
+
+  let stats;
+  try {
+    stats = fs.statSync(resolved);
+  } catch (error) {
+    throw new Error(`Cannot read ${what} ${resolved}: ${error.code === 'ENOENT' ? 'no such file' : error.message}`);
+  }
+
+  if (!stats.isFile()) {
+    throw new Error(`${what} ${resolved} is not a regular file`);
+  }
+
+  // Windows has no Unix permission bits to check
+  if (process.platform !== 'win32') {
+    const mode = (stats.mode & 0o777).toString(8).padStart(4, '0');
+
+    if (stats.mode & 0o004) {
+      throw new Error(`${what} ${resolved} is readable by every user (mode ${mode}); run: chmod 600 ${resolved}`);
+    }
+    if (stats.mode & 0o040) {
+      warnings.push(`${what} ${resolved} is readable by its group (mode ${mode}); consider chmod 600`);
+    }
+  }
+
+  return { content: fs.readFileSync(resolved, 'utf8'), path: resolved, warnings };
+}
+
+// Resolve a whole-value "${VAR}" placeholder from the process environment, then the env block
+function expandPlaceholder(value, env, envBlock) {
+  const match = PLACEHOLDER_PATTERN.exec(value);
+  if (!match) {
+    return value;
+  }
+
+  const expanded = env[match[1]] ?? envBlock[match[1]];
+  if (!expanded) {
+    throw new Error(`privateKey refers to \${${match[1]}}, which is not set in the environment or in openclaw.json env`);
+  }
+  return expanded;
+}
+
+function readPassphrase(nostrChannel, env, warnings) {
+  if (nostrChannel.keyPassphraseFile) {
+    const file = readProtectedFile(nostrChannel.keyPassphraseFile, 'Passphrase file');
+    warnings.push(...file.warnings);
+    return file.content.replace(/\r?\n$/, '');
+  }
+
+  const envVar = nostrChannel.keyPassphraseEnv || DEFAULT_PASSPHRASE_ENV_VAR;
+  if (env[envVar]) {
+    return env[envVar];
+  }
+
+  throw new Error(`it is an encrypted ncryptsec; set the passphrase in ${envVar} or point keyPassphraseFile at a file holding it`);
+}
+
+// Decode a hex, nsec or ncryptsec key to lowercase hex
+function decodePrivateKey(value, getPassphrase) {
+  const key = value.trim();
+
+  if (/^[a-f0-9]{64}$/i.test(key)) {
+    return key.toLowerCase();
+  }
+
+  if (key.startsWith('nsec1')) {
+    const { type, data } = nip19.decode(key);
+    if (type !== 'nsec') {
+      throw new Error('not a valid nsec');
+    }
+    return bytesToHex(data);
+  }
+
+  if (key.startsWith('ncryptsec1')) {
+    const passphrase = getPassphrase();
+    try {
+      return bytesToHex(nip49.decrypt(key, passphrase));
+    } catch (error) {
+      throw new Error('could not decrypt the ncryptsec; is the passphrase right?');
+    }
+  }
+
+  throw new Error('must be an nsec, ncryptsec or 64-character hex private key');
+}
+
+/**
+ * Find and decode the private key. Returns { privateKey, source, warnings, passphrase }
+ * where passphrase is set when an ncryptsec was decrypted (so it can be redacted
+ * from logs). Throws when no source has a usable key.
+ */
+function resolvePrivateKey(nostrChannel = {}, { env = process.env, envBlock = {} } = {}) {
+  const warnings = [];
+  let passphrase = null;
+  const getPassphrase = () => {
+    passphrase = readPassphrase(nostrChannel, env, warnings);
+    return passphrase;
+  };
+
+  const decode = (value, source) => {
+    let privateKey;
+    try {
+      privateKey = decodePrivateKey(value, getPassphrase);
+    } catch (error) {
+      throw new Error(`Private key from ${source}: ${error.message}`);
+    }
+    return { privateKey, source, warnings, passphrase };
+  };
+
+  if (nostrChannel.privateKey) {
+    return decode(expandPlaceholder(nostrChannel.privateKey, env, envBlock), 'privateKey');
+  }
+
+  if (nostrChannel.privateKeyFile) {
+    const file = readProtectedFile(nostrChannel.privateKeyFile, 'Private key file');
+    warnings.push(...file.warnings);
+    return decode(file.content, `privateKeyFile ${file.path}`);
+  }
+
+  if (env[KEY_ENV_VAR]) {
+    return decode(env[KEY_ENV_VAR], `${KEY_ENV_VAR} environment variable`);
+  }
+
+  if (envBlock[KEY_ENV_VAR]) {
+    return decode(envBlock[KEY_ENV_VAR], `openclaw.json env.${KEY_ENV_VAR}`);
+  }
+
+  throw new Error(`No private key found. Set channels.nost.privateKey or privateKeyFile, or ${KEY_ENV_VAR} in the environment`);
+}
+
+module.exports = {
+  resolvePrivateKey,
+  decodePrivateKey,
+  readProtectedFile,
+  KEY_ENV_VAR,
+  DEFAULT_PASSPHRASE_ENV_VAR
+};
@@ -0,0 +1,100 @@
+/**
+ * Kind 0 profile metadata from channels.nost.profile
+ *
+ *   "profile": {
+ *     "name": "0p3ncl4w",
+ *     "displayName": "0p3ncl4w",
+ *     "about": "AI assistant powered by OpenClaw.",
+ *     "picture": "https://example.com/logo.png",
+ *     "nip05": "bot@example.com"
+ *   }
+ *
+ * Keys may be written in camelCase (as in openclaw.json) or in the snake_case
+ * used on the wire. The content is serialized with a fixed key order, so the
+ * same profile always gives the same hash and is only republished when it
+ * actually changes.
+ */
+
+const crypto = require('crypto');
+
+const KIND_METADATA = 0;
+
+// Wire name -> accepted config keys, in the order they are serialized
+const PROFILE_FIELDS = {
+  name: ['name'],
+  display_name: ['displayName', 'display_name'],
+  about: ['about'],
+  picture: ['picture'],
+  banner: ['banner'],
+  website: ['website'],
+  nip05: ['nip05'],
+  lud16: ['lud16']
+};
+
+const URL_FIELDS = ['picture', 'banner', 'website'];
+
+function isValidField(field, value) {
+  if (URL_FIELDS.includes(field)) {
+    return /^https?:\/\/\S+$/i.test(value);
+  }
+  if (field === 'nip05' || field === 'lud16') {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+  }
+  return true;
+}
+
+/**
+ * Build the kind 0 content object. Returns { metadata, skipped } where skipped
+ * lists fields that were set but invalid; metadata is null for an empty profile.
+ */
+function buildProfileMetadata(profile = {}) {
+  const metadata = {};
+  const skipped = [];
+
+  for (const [field, keys] of Object.entries(PROFILE_FIELDS)) {
+    const key = keys.find(candidate => profile[candidate] !== undefined && profile[candidate] !== null);
+    if (!key) {
+      continue;
+    }
+
+    const value = String(profile[key]).trim();
+    if (!value) {
+      continue;
+    }
+
+    if (!isValidField(field, value)) {
+      skipped.push(key);
+      continue;
+    }
+
+    metadata[field] = value;
+  }
+
+  return { metadata: Object.keys(metadata).length > 0 ? metadata : null, skipped };
+}
+
+function hashProfileContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Unsigned kind 0 event plus the hash of its content
+function buildProfileEvent(metadata, createdAt = Math.floor(Date.now() / 1000)) {
+  const content = JSON.stringify(metadata);
+
+  return {
+    hash: hashProfileContent(content),
+    template: {
+      kind: KIND_METADATA,
+      created_at: createdAt,
+      tags: [],
+      content
+    }
+  };
+}
+
+module.exports = {
+  buildProfileMetadata,
+  buildProfileEvent,
+  hashProfileContent,
+  KIND_METADATA
+};
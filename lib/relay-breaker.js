@@ -0,0 +1,137 @@
+/**
+ * Per-relay circuit breaker for publishing
+ *
+ *   closed     Publishes go through. Consecutive failures are counted and the
+ *              breaker opens after maxFailures of them.
+ *   open       Publishes are skipped until the cool-down ends.
+ *   half-open  After the cool-down one trial publish is let through, and other
+ *              publishes are refused until it ends. Success closes the breaker;
+ *              failure opens it again with a longer cool-down. A trial that never
+ *              reports back frees the slot after trialTimeoutMs.
+ *
+ * Some relay answers should not wait for maxFailures. These open the breaker at once:
+ * - rate-limited: the relay said "slow down", so back off exponentially
+ * - blocked: the relay refuses us (paid relay, inbox-only, policy), so it gets
+ *   a long cool-down instead of being hammered on every reply
+ */
+
+const BREAKER_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+const FAILURE_KINDS = {
+  RATE_LIMITED: 'rate-limited',
+  BLOCKED: 'blocked',
+  ERROR: 'error'
+};
+
+// Machine-readable prefixes from NIP-01 OK/CLOSED messages, plus the wording
+// relays used before the prefixes existed
+function classifyPublishFailure(reason) {
+  const text = String(reason || '').toLowerCase();
+
+  if (text.startsWith('rate-limited') || text.includes('rate limit') || text.includes('noting too much') || text.includes('too many')) {
+    return FAILURE_KINDS.RATE_LIMITED;
+  }
+
+  if (
+    text.startsWith('blocked') ||
+    text.startsWith('restricted') ||
+    text.startsWith('auth-required') ||
+    text.includes('inbox') ||
+    text.includes('does not exist') ||
+    text.includes('not allowed') ||
+    text.includes('paid')
+  ) {
+    return FAILURE_KINDS.BLOCKED;
+  }
+
+  return FAILURE_KINDS.ERROR;
+}
+
+class RelayCircuitBreaker {
+  constructor(options = {}) {
+    this.maxFailures = options.maxFailures || 5;
+    this.baseOpenMs = options.baseOpenMs || 30 * 1000;
+    this.maxOpenMs = options.maxOpenMs || 10 * 60 * 1000;
+    this.blockedOpenMs = options.blockedOpenMs || 60 * 60 * 1000;
+    this.trialTimeoutMs = options.trialTimeoutMs || 60 * 1000;
+
+    this.state = BREAKER_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.timesOpened = 0; // Since the last success, drives the exponential cool-down
+    this.openUntil = 0;
+    this.lastFailure = null; // { kind, reason, at }
+    this.trialStartedAt = null; // Set while the half-open trial publish is in flight
+  }
+
+  // May we publish to this relay now? Moves open → half-open once the cool-down
+  // is over; in half-open only the caller that gets true may publish, as the trial.
+  canAttempt(now = Date.now()) {
+    if (this.state === BREAKER_STATES.OPEN && now >= this.openUntil) {
+      this.state = BREAKER_STATES.HALF_OPEN;
+      this.trialStartedAt = null;
+    }
+
+    if (this.state === BREAKER_STATES.HALF_OPEN) {
+      if (this.trialStartedAt !== null && now - this.trialStartedAt < this.trialTimeoutMs) {
+        return false;
+      }
+      this.trialStartedAt = now;
+      return true;
+    }
+
+    return this.state !== BREAKER_STATES.OPEN;
+  }
+
+  recordSuccess() {
+    this.trialStartedAt = null;
+    this.state = BREAKER_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.timesOpened = 0;
+    this.openUntil = 0;
+  }
+
+  // Returns the failure kind so the caller can decide whether retrying makes sense
+  recordFailure(reason, now = Date.now()) {
+    const kind = classifyPublishFailure(reason);
+    this.trialStartedAt = null;
+    this.consecutiveFailures++;
+    this.lastFailure = { kind, reason: String(reason), at: now };
+
+    const shouldOpen =
+      this.state === BREAKER_STATES.HALF_OPEN ||
+      kind !== FAILURE_KINDS.ERROR ||
+      this.consecutiveFailures >= this.maxFailures;
+
+    if (shouldOpen) {
+      const openMs = kind === FAILURE_KINDS.BLOCKED
+        ? this.blockedOpenMs
+        : Math.min(this.baseOpenMs * Math.pow(2, this.timesOpened), this.maxOpenMs);
+
+      this.state = BREAKER_STATES.OPEN;
+      this.openUntil = now + openMs;
+      this.timesOpened++;
+    }
+
+    return kind;
+  }
+
+  toJSON() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openUntil: this.state === BREAKER_STATES.OPEN ? this.openUntil : null,
+      lastFailure: this.lastFailure
+    };
+  }
+}
+
+module.exports = {
+  RelayCircuitBreaker,
+  classifyPublishFailure,
+  BREAKER_STATES,
+  FAILURE_KINDS
+};
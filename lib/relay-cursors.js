@@ -0,0 +1,63 @@
+/**
+ * Per-relay since cursors for the DM subscriptions
+ *
+ * relayUrl -> unix time (seconds) up to which that relay's DMs have been
+ * received. On startup and after a reconnect each relay is only asked for what
+ * came after its cursor.
+ *
+ * Cursors only move forward, and never past the current time: created_at is
+ * chosen by whoever signed the event, and one event dated in the future would
+ * otherwise pin the cursor there and hide every real DM behind it.
+ */
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+class RelayCursors {
+  /**
+   * saved is the object written by toJSON(); relays without a cursor start at
+   * startAt (seconds) instead of replaying their whole history.
+   */
+  constructor(saved = {}, options = {}) {
+    this.cursors = new Map(Object.entries(saved));
+    this.startAt = options.startAt || nowSeconds();
+    this.dirty = false;
+  }
+
+  has(relayUrl) {
+    return this.cursors.has(relayUrl);
+  }
+
+  // A cursor saved in the future (by an older version) is read as now
+  get(relayUrl, now = nowSeconds()) {
+    return Math.min(this.cursors.get(relayUrl) || this.startAt, now);
+  }
+
+  // Move a relay's cursor forward to timestamp, clamped to now; returns the cursor
+  advance(relayUrl, timestamp, now = nowSeconds()) {
+    const next = Math.min(timestamp, now);
+    if (next > (this.cursors.get(relayUrl) || 0)) {
+      this.cursors.set(relayUrl, next);
+      this.dirty = true;
+    }
+    return this.get(relayUrl, now);
+  }
+
+  // Start a relay where the given relays are (the oldest of them), or at now
+  seed(relayUrl, otherRelays, now = nowSeconds()) {
+    const cursors = otherRelays
+      .filter(url => url !== relayUrl && this.cursors.has(url))
+      .map(url => this.get(url, now));
+
+    return this.advance(relayUrl, Math.min(now, ...cursors), now);
+  }
+
+  toJSON() {
+    return Object.fromEntries(this.cursors);
+  }
+}
+
+module.exports = {
+  RelayCursors
+};
@@ -0,0 +1,156 @@
+/**
+ * Reply formatting for DM clients
+ *
+ *   formatReply(output, { maxBytes: 2000, numbered: true, stripNoise: true })
+ *   // → ['(1/3)\n📊 Gateway Status:...', '(2/3)\n...', '(3/3)\n...']
+ *
+ * Long replies are split into chunks of at most maxBytes UTF-8 bytes, breaking
+ * on line boundaries and only cutting inside a line when the line alone is too
+ * long (never inside a character). Some relays reject large events and mobile
+ * clients render long DMs poorly, so the limit is in bytes, not characters.
+ *
+ * stripNoise cleans up terminal output from shell commands: ANSI colour and
+ * cursor codes, carriage-return progress redraws, backspaces and other control
+ * characters, trailing whitespace and runs of blank lines.
+ */
+
+// CSI (colours, cursor movement), OSC (window titles, hyperlinks) and single-character escapes
+const ANSI_PATTERN = /\u001b\[[0-?]*[ -/]*[@-~]|\u001b\][^\u0007\u001b]*(?:\u0007|\u001b\\)|\u001b[@-Z\\-_]/g;
+const CONTROL_PATTERN = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/g;
+const MIN_NUMBERED_CHUNK_BYTES = 16;
+
+function utf8Length(text) {
+  return Buffer.byteLength(text, 'utf8');
+}
+
+function stripTerminalNoise(text) {
+  const lines = String(text)
+    .replace(ANSI_PATTERN, '')
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .map(line => {
+      // A progress bar redraws the line after \r; only the last state is visible
+      const visible = line.split('\r').filter(part => part.length > 0).pop() || '';
+
+      // Apply backspaces the way a terminal would
+      let result = '';
+      for (const char of visible) {
+        result = char === '\b' ? result.slice(0, -1) : result + char;
+      }
+
+      return result.replace(CONTROL_PATTERN, '').trimEnd();
+    });
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Cut one line into pieces of at most maxBytes, at a space where possible and
+// never inside a character. Byte counts and the last space are kept as we go,
+// so a long line costs one pass instead of one measurement per character.
+function hardWrap(line, maxBytes) {
+  const pieces = [];
+  let current = '';
+  let currentBytes = 0;
+  let lastSpace = -1; // Index of the last space in current
+  let bytesAfterSpace = 0; // Bytes of current after it (all of current without one)
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+
+    if (currentBytes + charBytes > maxBytes && current) {
+      if (lastSpace > 0 && bytesAfterSpace + charBytes <= maxBytes) {
+        pieces.push(current.slice(0, lastSpace));
+        current = current.slice(lastSpace + 1);
+        currentBytes = bytesAfterSpace;
+      } else {
+        pieces.push(current);
+        current = '';
+        currentBytes = 0;
+      }
+      lastSpace = -1;
+      bytesAfterSpace = currentBytes;
+    }
+
+    if (char === ' ') {
+      lastSpace = current.length;
+      bytesAfterSpace = 0;
+    } else {
+      bytesAfterSpace += charBytes;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+
+  pieces.push(current);
+  return pieces;
+}
+
+// Split text on line boundaries so each chunk is at most maxBytes long
+function splitIntoChunks(text, maxBytes) {
+  const chunks = [];
+  let current = null;
+
+  for (const line of text.split('\n')) {
+    const pieces = utf8Length(line) > maxBytes ? hardWrap(line, maxBytes) : [line];
+
+    for (const piece of pieces) {
+      const candidate = current === null ? piece : `${current}\n${piece}`;
+
+      if (utf8Length(candidate) > maxBytes) {
+        chunks.push(current);
+        current = piece;
+      } else {
+        current = candidate;
+      }
+    }
+  }
+
+  if (current !== null && current.trim()) {
+    chunks.push(current);
+  }
+
+  return chunks.filter(chunk => chunk.trim());
+}
+
+function numberLabel(index, total) {
+  return `(${index + 1}/${total})\n`;
+}
+
+/**
+ * Turn a reply into the DMs to send.
+ * With numbered, multi-part replies get a "(n/total)" line, which counts
+ * towards maxBytes.
+ */
+function formatReply(text, options = {}) {
+  const maxBytes = options.maxBytes || 2000;
+  const cleaned = options.stripNoise ? stripTerminalNoise(text) : String(text);
+
+  let chunks = splitIntoChunks(cleaned, maxBytes);
+  if (!options.numbered || chunks.length <= 1) {
+    return chunks;
+  }
+
+  // The label's length depends on the chunk count, so split again until it settles
+  let total = chunks.length;
+  for (;;) {
+    const budget = maxBytes - utf8Length(numberLabel(total - 1, total));
+    if (budget < MIN_NUMBERED_CHUNK_BYTES) {
+      return splitIntoChunks(cleaned, maxBytes); // Too small to spare room for labels
+    }
+
+    chunks = splitIntoChunks(cleaned, budget);
+    if (chunks.length <= total) {
+      break;
+    }
+    total = chunks.length;
+  }
+
+  return chunks.map((chunk, index) => `${numberLabel(index, chunks.length)}${chunk}`);
+}
+
+module.exports = {
+  formatReply,
+  splitIntoChunks,
+  stripTerminalNoise,
+  utf8Length
+};
@@ -0,0 +1,213 @@
+/**
+ * Durable state for the Nostr auto-reply daemon
+ *
+ * Processed/replied event IDs, sender conversations, command cooldowns and
+ * relay health live in memory and are snapshotted to a JSON-lines file (one
+ * record per line). Snapshots are written to a temp file and renamed over the
+ * old one, so a crash never leaves a half-written file behind.
+ *
+ * Event IDs expire by the event's own created_at rather than by when they were
+ * seen. A relay can still return an event after its ID is forgotten (a since
+ * window after a long downtime reaches further back), so callers must not act
+ * on events that isExpired() reports as too old.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_EVENT_TTL_SECONDS = 7 * 24 * 60 * 60; // The daemon ignores events older than this
+const DEFAULT_SAVE_DELAY_MS = 1000;
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// Set-like collection of event IDs that remembers each event's created_at
+class ExpiringEventSet {
+  constructor(ttlSeconds) {
+    this.ttlSeconds = ttlSeconds;
+    this.events = new Map(); // id -> created_at (seconds)
+  }
+
+  has(id) {
+    return this.events.has(id);
+  }
+
+  add(id, createdAt = nowSeconds()) {
+    this.events.set(id, createdAt);
+    return this;
+  }
+
+  delete(id) {
+    return this.events.delete(id);
+  }
+
+  get size() {
+    return this.events.size;
+  }
+
+  entries() {
+    return this.events.entries();
+  }
+
+  isExpired(createdAt, now = nowSeconds()) {
+    return createdAt < now - this.ttlSeconds;
+  }
+
+  // Drop IDs of events older than the TTL; returns how many were removed
+  prune(now = nowSeconds()) {
+    let removed = 0;
+
+    for (const [id, createdAt] of this.events.entries()) {
+      if (this.isExpired(createdAt, now)) {
+        this.events.delete(id);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+}
+
+class StateStore {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.saveDelayMs = options.saveDelayMs || DEFAULT_SAVE_DELAY_MS;
+
+    const eventTtlSeconds = options.eventTtlSeconds || DEFAULT_EVENT_TTL_SECONDS;
+    this.processedEvents = new ExpiringEventSet(eventTtlSeconds);
+    this.repliedEvents = new ExpiringEventSet(eventTtlSeconds);
+    this.conversations = new Map();
+    this.commandCooldowns = new Map();
+    this.relayHealth = new Map();
+
+    this.lastSnapshot = null;
+    this.saveTimer = null;
+  }
+
+  // Read the snapshot, skipping unreadable lines and expired events
+  load() {
+    const counts = { processed: 0, replied: 0, conversations: 0, skipped: 0 };
+
+    if (!fs.existsSync(this.filePath)) {
+      return counts;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    const now = nowSeconds();
+
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        counts.skipped++;
+        continue;
+      }
+
+      switch (record.type) {
+        case 'processed':
+          if (!this.processedEvents.isExpired(record.createdAt, now)) {
+            this.processedEvents.add(record.id, record.createdAt);
+            counts.processed++;
+          }
+          break;
+        case 'replied':
+          if (!this.repliedEvents.isExpired(record.createdAt, now)) {
+            this.repliedEvents.add(record.id, record.createdAt);
+            counts.replied++;
+          }
+          break;
+        case 'conversation':
+          this.conversations.set(record.key, record.value);
+          counts.conversations++;
+          break;
+        case 'cooldown':
+          this.commandCooldowns.set(record.key, record.value);
+          break;
+        case 'relay':
+          this.relayHealth.set(record.key, record.value);
+          break;
+        default:
+          counts.skipped++;
+      }
+    }
+
+    this.lastSnapshot = this.serialize();
+    return counts;
+  }
+
+  serialize() {
+    const lines = [];
+
+    for (const [id, createdAt] of this.processedEvents.entries()) {
+      lines.push(JSON.stringify({ type: 'processed', id, createdAt }));
+    }
+    for (const [id, createdAt] of this.repliedEvents.entries()) {
+      lines.push(JSON.stringify({ type: 'replied', id, createdAt }));
+    }
+    for (const [key, value] of this.conversations.entries()) {
+      lines.push(JSON.stringify({ type: 'conversation', key, value }));
+    }
+    for (const [key, value] of this.commandCooldowns.entries()) {
+      lines.push(JSON.stringify({ type: 'cooldown', key, value }));
+    }
+    for (const [key, value] of this.relayHealth.entries()) {
+      lines.push(JSON.stringify({ type: 'relay', key, value }));
+    }
+
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
+
+  // Write the snapshot if anything changed since the last write; returns true if written
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    const snapshot = this.serialize();
+    if (snapshot === this.lastSnapshot) {
+      return false;
+    }
+
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(tmpPath, snapshot, { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+
+    this.lastSnapshot = snapshot;
+    return true;
+  }
+
+  // Coalesce bursts of changes into one write
+  scheduleSave(onError) {
+    if (this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => {
+      try {
+        this.save();
+      } catch (error) {
+        if (onError) {
+          onError(error);
+        }
+      }
+    }, this.saveDelayMs);
+  }
+
+  prune() {
+    return {
+      processed: this.processedEvents.prune(),
+      replied: this.repliedEvents.prune()
+    };
+  }
+}
+
+module.exports = {
+  StateStore,
+  ExpiringEventSet
+};
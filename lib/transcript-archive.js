@@ -0,0 +1,145 @@
+/**
+ * Encrypted local archive of every DM the daemon receives and sends
+ *
+ * Each counterparty gets one append-only file under <stateDir>/archive. Every
+ * line is one message, encrypted on its own with AES-256-GCM:
+ *
+ *   <base64 iv>.<base64 auth tag>.<base64 ciphertext>
+ *
+ * The plaintext is { id, direction: 'in'|'out', createdAt, scheme, message, label }.
+ * The encryption key and the key used to name the files are derived from the
+ * bot's private key with HKDF, so the archive needs no key of its own and the
+ * file names do not reveal who the bot talks to. A different bot key cannot
+ * read (or find) an older archive.
+ *
+ * Files are cut back to the newest maxPerSender messages once they grow a
+ * tenth past it, rewriting through a temp file like the other state files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ARCHIVE_CIPHER = 'aes-256-gcm';
+const KEY_INFO_ENCRYPTION = 'openclaw-nostr-dm archive encryption v1';
+const KEY_INFO_INDEX = 'openclaw-nostr-dm archive index v1';
+const DEFAULT_MAX_PER_SENDER = 1000;
+
+function deriveKey(privateKey, info) {
+  return Buffer.from(crypto.hkdfSync('sha256', Buffer.from(privateKey), Buffer.alloc(0), info, 32));
+}
+
+// Group messages into exchanges: each inbound message with the replies after it
+function groupExchanges(records) {
+  const exchanges = [];
+
+  for (const record of records) {
+    const current = exchanges[exchanges.length - 1];
+    if (record.direction === 'in' || !current) {
+      exchanges.push({ inbound: record.direction === 'in' ? record : null, replies: record.direction === 'in' ? [] : [record] });
+    } else {
+      current.replies.push(record);
+    }
+  }
+
+  return exchanges;
+}
+
+class TranscriptArchive {
+  /**
+   * privateKey is the bot's 32-byte key; maxPerSender caps the messages kept
+   * per counterparty.
+   */
+  constructor(directory, privateKey, options = {}) {
+    this.directory = directory;
+    this.maxPerSender = options.maxPerSender || DEFAULT_MAX_PER_SENDER;
+
+    this.encryptionKey = deriveKey(privateKey, KEY_INFO_ENCRYPTION);
+    this.indexKey = deriveKey(privateKey, KEY_INFO_INDEX);
+
+    this.lineCounts = new Map(); // pubkey -> lines in its file, counted on first use
+  }
+
+  filePath(pubkey) {
+    const name = crypto.createHmac('sha256', this.indexKey).update(pubkey).digest('hex').substring(0, 32);
+    return path.join(this.directory, `${name}.log`);
+  }
+
+  encrypt(record) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ARCHIVE_CIPHER, this.encryptionKey, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(record), 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+  }
+
+  decrypt(line) {
+    const [iv, tag, ciphertext] = line.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(ARCHIVE_CIPHER, this.encryptionKey, iv);
+    decipher.setAuthTag(tag);
+    return JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8'));
+  }
+
+  readLines(pubkey) {
+    const filePath = this.filePath(pubkey);
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+    return fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim());
+  }
+
+  // Append one message to the counterparty's file
+  append(pubkey, { id, direction, createdAt = Math.floor(Date.now() / 1000), scheme = null, message, label = null }) {
+    fs.mkdirSync(this.directory, { recursive: true, mode: 0o700 });
+    fs.appendFileSync(this.filePath(pubkey), `${this.encrypt({ id, direction, createdAt, scheme, message, label })}\n`, { mode: 0o600 });
+
+    const count = this.lineCounts.has(pubkey) ? this.lineCounts.get(pubkey) + 1 : this.readLines(pubkey).length;
+    this.lineCounts.set(pubkey, count);
+
+    if (count > this.maxPerSender * 1.1) {
+      this.compact(pubkey);
+    }
+  }
+
+  // Keep only the newest maxPerSender lines
+  compact(pubkey) {
+    const lines = this.readLines(pubkey).slice(-this.maxPerSender);
+    const filePath = this.filePath(pubkey);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+    fs.writeFileSync(tmpPath, `${lines.join('\n')}\n`, { mode: 0o600 });
+    fs.renameSync(tmpPath, filePath);
+    this.lineCounts.set(pubkey, lines.length);
+  }
+
+  /**
+   * Every readable message with this counterparty, in the order it was
+   * archived (a sender's clock may put created_at ahead of our reply).
+   * Lines that do not decrypt (damaged, or written under another key) are
+   * counted in skipped.
+   */
+  read(pubkey) {
+    const records = [];
+    let skipped = 0;
+
+    for (const line of this.readLines(pubkey)) {
+      try {
+        records.push(this.decrypt(line));
+      } catch (error) {
+        skipped++;
+      }
+    }
+
+    return { records, skipped };
+  }
+
+  // The messages with this counterparty grouped into exchanges, oldest first
+  exchanges(pubkey) {
+    const { records, skipped } = this.read(pubkey);
+    return { exchanges: groupExchanges(records), skipped };
+  }
+}
+
+module.exports = {
+  TranscriptArchive,
+  groupExchanges
+};
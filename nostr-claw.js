@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * nostr-claw - command line tools for the OpenClaw Nostr DM channel
+ *
+ *   node nostr-claw.js <command> [options]
+ *
+ * Commands (one module each in ./cli):
+ * - daemon        Run the auto-reply daemon (auto-reply-daemon-openclaw.js)
+ * - send          Send an encrypted DM
+ * - listen        Print incoming DMs as they arrive
+ * - export        Export the DM history as Markdown or JSONL transcripts
+ * - keygen        Generate a new key pair, optionally into a key file
+ * - relays        Check that the configured relays answer
+ * - check-config  Validate openclaw.json and print the effective config
+ *
+ * Every command reads the same openclaw.json as the daemon (lib/openclaw-config.js);
+ * the common flags below override it for one run, so nothing has to be edited
+ * in source to point a tool at other relays or another key.
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { createLogger } = require('./lib/logger');
+
+const CLI_COMMANDS = ['daemon', 'send', 'listen', 'export', 'keygen', 'relays', 'check-config'];
+
+// Flags every command accepts
+const COMMON_OPTIONS = {
+  config: { type: 'string' },
+  relay: { type: 'string', multiple: true },
+  'key-file': { type: 'string' },
+  'key-env': { type: 'string' },
+  format: { type: 'string', default: 'text' },
+  verbose: { type: 'boolean', short: 'v', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const COMMON_USAGE = `Common options:
+  --config <path>     openclaw.json to use (default: $OPENCLAW_NOSTR_CONFIG, then ~/.openclaw/openclaw.json)
+  --relay <url>       Relay to use instead of the configured ones (repeatable)
+  --key-file <path>   Read the private key from this file (must not be world-readable)
+  --key-env <NAME>    Read the private key from this environment variable
+  --format <fmt>      Output format: text or json (default: text)
+  -v, --verbose       Log what the config loader and relays are doing
+  -h, --help          Show help`;
+
+function loadCliCommand(name) {
+  return require(path.join(__dirname, 'cli', name));
+}
+
+function printUsage() {
+  console.log('Usage: node nostr-claw.js <command> [options]\n');
+  console.log('Commands:');
+  for (const name of CLI_COMMANDS) {
+    console.log(`  ${name.padEnd(14)}${loadCliCommand(name).description}`);
+  }
+  console.log(`\n${COMMON_USAGE}`);
+}
+
+function printCommandUsage(command) {
+  console.log(`Usage: node nostr-claw.js ${command.usage}\n`);
+  console.log(command.description);
+  if (command.help) {
+    console.log(`\n${command.help}`);
+  }
+  console.log(`\n${COMMON_USAGE}`);
+}
+
+async function runCli(argv) {
+  const [name, ...rest] = argv;
+
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    printUsage();
+    return 0;
+  }
+
+  if (!CLI_COMMANDS.includes(name)) {
+    console.error(`✗ Unknown command: ${name}\n`);
+    printUsage();
+    return 1;
+  }
+
+  const command = loadCliCommand(name);
+
+  let args;
+  try {
+    args = parseArgs({
+      args: rest,
+      options: { ...COMMON_OPTIONS, ...command.options },
+      allowPositionals: true
+    });
+  } catch (error) {
+    console.error(`✗ ${error.message}\n`);
+    printCommandUsage(command);
+    return 1;
+  }
+
+  if (args.values.help) {
+    printCommandUsage(command);
+    return 0;
+  }
+
+  if (!['text', 'json'].includes(args.values.format)) {
+    console.error(`✗ --format must be text or json, got "${args.values.format}"`);
+    return 1;
+  }
+
+  if (args.values['key-file'] && args.values['key-env']) {
+    console.error('✗ Use either --key-file or --key-env, not both');
+    return 1;
+  }
+
+  // Logs all go to stderr, so stdout only carries the command's output
+  const log = createLogger({ level: args.values.verbose ? 'debug' : 'warn', stdout: process.stderr });
+
+  return command.run(args, { log });
+}
+
+runCli(process.argv.slice(2))
+  .then(code => {
+    // A command that keeps running (the daemon) returns null
+    if (code !== null && code !== undefined) {
+      process.exit(code);
+    }
+  })
+  .catch(error => {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { RelayCircuitBreaker, BREAKER_STATES, FAILURE_KINDS, classifyPublishFailure } = require('../lib/relay-breaker');
+
+const NOW = 1792400000000;
+
+// A breaker whose cool-down just ended
+function halfOpenBreaker() {
+  const breaker = new RelayCircuitBreaker({ baseOpenMs: 1000 });
+  breaker.recordFailure('rate-limited: slow down', NOW);
+  assert.strictEqual(breaker.state, BREAKER_STATES.OPEN);
+  return breaker;
+}
+
+test('half-open lets only one of two concurrent publishes through', async () => {
+  const breaker = halfOpenBreaker();
+  const later = NOW + 2000;
+  let trials = 0;
+
+  const publish = async () => {
+    if (!breaker.canAttempt(later)) {
+      return 'skipped';
+    }
+    trials++;
+    await new Promise(resolve => setImmediate(resolve));
+    breaker.recordSuccess();
+    return 'published';
+  };
+
+  const outcomes = await Promise.all([publish(), publish()]);
+  assert.deepStrictEqual(outcomes.sort(), ['published', 'skipped']);
+  assert.strictEqual(trials, 1);
+  assert.strictEqual(breaker.state, BREAKER_STATES.CLOSED);
+  assert.strictEqual(breaker.canAttempt(later), true);
+  assert.strictEqual(breaker.canAttempt(later), true);
+});
+
+test('a failed trial opens the breaker again with a longer cool-down', () => {
+  const breaker = halfOpenBreaker();
+  const later = NOW + 2000;
+
+  assert.strictEqual(breaker.canAttempt(later), true);
+  assert.strictEqual(breaker.canAttempt(later), false);
+
+  breaker.recordFailure('connection refused', later);
+  assert.strictEqual(breaker.state, BREAKER_STATES.OPEN);
+  assert.strictEqual(breaker.openUntil, later + 2000);
+  assert.strictEqual(breaker.canAttempt(later + 1000), false);
+  assert.strictEqual(breaker.canAttempt(later + 2000), true);
+});
+
+test('a trial that never reports back frees the slot after trialTimeoutMs', () => {
+  const breaker = halfOpenBreaker();
+  const later = NOW + 2000;
+
+  assert.strictEqual(breaker.canAttempt(later), true);
+  assert.strictEqual(breaker.canAttempt(later + breaker.trialTimeoutMs - 1), false);
+  assert.strictEqual(breaker.canAttempt(later + breaker.trialTimeoutMs), true);
+});
+
+test('closed breakers open after maxFailures errors', () => {
+  const breaker = new RelayCircuitBreaker({ maxFailures: 2 });
+
+  breaker.recordFailure('error: timeout', NOW);
+  assert.strictEqual(breaker.canAttempt(NOW), true);
+  breaker.recordFailure('error: timeout', NOW);
+  assert.strictEqual(breaker.canAttempt(NOW), false);
+});
+
+test('relay answers are classified by their NIP-01 prefix', () => {
+  assert.strictEqual(classifyPublishFailure('rate-limited: slow down'), FAILURE_KINDS.RATE_LIMITED);
+  assert.strictEqual(classifyPublishFailure('blocked: not on the list'), FAILURE_KINDS.BLOCKED);
+  assert.strictEqual(classifyPublishFailure('error: could not save'), FAILURE_KINDS.ERROR);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { RelayCursors } = require('../lib/relay-cursors');
+
+const RELAY = 'wss://relay.example';
+const NOW = 1792400000;
+const SLACK = 5 * 60; // CURSOR_SLACK_SECONDS in the daemon
+
+test('a future-dated event does not move the cursor past now', () => {
+  const cursors = new RelayCursors({ [RELAY]: NOW - 60 });
+
+  cursors.advance(RELAY, NOW + 365 * 24 * 60 * 60, NOW);
+  assert.strictEqual(cursors.get(RELAY, NOW), NOW);
+
+  // A real DM sent a minute later is still inside the next since-window
+  const realDm = NOW + 60;
+  assert.ok(cursors.get(RELAY, realDm) - SLACK <= realDm);
+});
+
+test('cursors only move forward', () => {
+  const cursors = new RelayCursors({ [RELAY]: NOW - 60 });
+
+  cursors.advance(RELAY, NOW - 3600, NOW);
+  assert.strictEqual(cursors.get(RELAY, NOW), NOW - 60);
+  assert.strictEqual(cursors.dirty, false);
+
+  cursors.advance(RELAY, NOW - 30, NOW);
+  assert.strictEqual(cursors.get(RELAY, NOW), NOW - 30);
+  assert.strictEqual(cursors.dirty, true);
+});
+
+test('a cursor saved in the future is read as now', () => {
+  const cursors = new RelayCursors({ [RELAY]: NOW + 86400 });
+  assert.strictEqual(cursors.get(RELAY, NOW), NOW);
+});
+
+test('relays without a cursor start at startAt', () => {
+  const cursors = new RelayCursors({}, { startAt: NOW - 10 });
+  assert.strictEqual(cursors.get(RELAY, NOW), NOW - 10);
+  assert.strictEqual(cursors.has(RELAY), false);
+});
+
+test('a seeded relay starts at the oldest cursor of the others', () => {
+  const cursors = new RelayCursors({ 'wss://a': NOW - 100, 'wss://b': NOW - 40 }, { startAt: NOW - 30 * 86400 });
+
+  assert.strictEqual(cursors.seed(RELAY, ['wss://a', 'wss://b'], NOW), NOW - 100);
+  assert.strictEqual(cursors.seed('wss://new', [], NOW), NOW);
+});